@@ -6,12 +6,19 @@ module.exports = {
   // Search Engine Settings - BRAND WEBSITE PRIORITY
   search: {
     // PRIORITY ORDER: 1. Official Brand Websites, 2. Google, 3. Bing, 4. Amazon
-    engines: ['google', 'bing', 'amazon'], // Fallback engines after brand websites
+    engines: ['google', 'bing', 'amazon'], // Fallback engines after brand websites (any engine in the EngineRegistry)
+    customEngines: [], // Paths of in-house engine modules to register, e.g. ['./engines/intranet.js'] (see src/engines)
+    recordHtmlDir: null, // Save every engine results page here, e.g. to refresh tests/fixtures/engines
+    blockPageDir: 'debug/block-pages', // Screenshot and HTML of every CAPTCHA/consent page met (null to keep none)
+    cache: {
+      enabled: true, // Keep engine results on disk, keyed by engine, region and normalized query
+      directory: 'cache/search',
+      ttlHours: 168, // Search again once an entry is older than this (one week)
+      mode: 'normal' // 'refresh' (--refresh-cache) ignores stored entries, 'only' (--cache-only) never searches
+    },
     maxImagesPerItem: 8, // Allow more images for better selection
     searchTimeout: 20000, // Allow time for quality results
     retryAttempts: 2, // More retries for valuable results
-    delayBetweenRequests: 300, // Prevent rate limiting
-    delayBetweenEngines: 200, // Allow proper cooldown between engines
     userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
     
     // Brand Website Settings - HIGHEST PRIORITY
@@ -41,11 +48,51 @@ module.exports = {
       'jollibee.com', 'popeyes.com'
     ],
     avoidDomains: ['pinterest', 'facebook', 'twitter', 'instagram'], // Avoid social media
-    requireProductPages: true // Prefer actual product pages over generic images
+    requireProductPages: true, // Prefer actual product pages over generic images
+
+    // QUERY TEMPLATES - per engine, tried in order; an engine without a list uses `default`
+    // A template is skipped when a {placeholder} is empty; {placeholder?} may be empty
+    // Placeholders: brand, name, baseName, type, size, qualifiers, details, partNumber,
+    // mpn, upc, ean, barcode, model, category, searchName (see QueryStrategy)
+    queryTemplates: {
+      default: [
+        '"{brand?}" "{mpn}"',
+        '"{upc}"',
+        '"{ean}"',
+        '"{brand?}" "{model}"',
+        '"{name}" {details?} {category?} "{brand?}"',
+        '"{brand}" "{partNumber}"',
+        '{searchName} {brand}'
+      ],
+      // Google handles quoted part numbers and exact phrases well
+      google: [
+        '"{brand?}" "{partNumber}"',
+        '"{barcode}"',
+        '"{name}" {details?} "{brand?}"',
+        '{searchName} {brand?}'
+      ],
+      // Marketplaces match short keyword queries better than quoted phrases
+      marketplace: [
+        '{brand} {partNumber}',
+        '{brand?} {type} {size?}',
+        '{baseName} {size?} {qualifiers?}'
+      ],
+      amazon: 'marketplace', // A string reuses another engine's list
+      ebay: 'marketplace',
+      shopee: 'marketplace',
+      lazada: 'marketplace',
+      shopping: 'marketplace',
+      hardware: 'marketplace'
+    },
+    earlyStopImages: 8 // Stop querying once this many usable candidate URLs are found (0 = run every query)
   },
 
   // Image Quality Requirements - HIGHEST QUALITY ONLY
+  // These are the base values; the active profile from qualityProfiles overrides them,
+  // and the quality block of a custom --config overrides both (see qualityOverrides)
   quality: {
+    profile: 'catalog-strict', // Default profile (override with --profile or a Profile column)
+
     // HIGHEST QUALITY: 800x800 to 1200x1200 for maximum sharpness
     minResolution: [800, 800], // Increased to 800px minimum for crisp images
     maxResolution: [1200, 1200], // Keep 1200px max for optimal quality
@@ -65,16 +112,76 @@ module.exports = {
     imageMatchingThreshold: 0.70, // 70% minimum confidence required
     preferBrandedImages: true, // Prioritize brand-specific matches
     perfectMatchThreshold: 0.95, // 95% for perfect matches
+    identifierMatchConfidence: 0.95, // Confidence given when the image URL/page contains the MPN, barcode or model
     
     // File requirements - HIGH QUALITY FILES ONLY
     minFileSize: 80000, // 80KB minimum (high quality images only)
     maxFileSize: 8000000, // 8MB maximum (accommodate high-res images)
-    allowedFormats: ['jpg', 'jpeg', 'png'],
+    // Source formats accepted as input; they are transcoded to processing.outputFormat
+    allowedFormats: ['jpg', 'jpeg', 'png', 'webp', 'avif', 'gif'],
+    
+    // Blank and placeholder detection - NO "IMAGE NOT AVAILABLE" TILES
+    blankMaxStdDev: 8, // Images whose channels all vary less than this are treated as blank
+    minColorEntropy: 0.5, // Min colour entropy (bits) of the non-white pixels
+    lowEntropyMinLightness: 200, // Low entropy only rejects pale graphics: mean lightness (0-255) of the non-white pixels
+    placeholderLibrary: 'data/placeholders.json', // Perceptual hashes of known placeholder graphics
+    placeholderMaxDistance: 6, // Max Hamming distance (of 64 bits) to count as a library match
     
     // Sharpness requirements - CRISP IMAGES ONLY
-    minSharpness: 0.5 // 50% minimum sharpness for professional quality
+    minSharpness: 0.5, // 50% minimum sharpness for professional quality
+    sharpnessReferenceVariance: 300 // Laplacian variance that scores 100% sharpness
   },
 
+  // Named Quality Profiles - bundles of quality thresholds selectable per run or per product
+  qualityProfiles: {
+    // Catalog hero shots: square, white background, no watermarks
+    'catalog-strict': {
+      minResolution: [800, 800],
+      maxResolution: [1200, 1200],
+      preferredAspectRatio: [0.9, 1.1],
+      strictSquareOnly: true,
+      requirePureWhiteBackground: true,
+      whiteBackgroundThreshold: 0.75,
+      allowWatermarks: false,
+      watermarkDetectionThreshold: 0.3,
+      minFileSize: 80000,
+      maxFileSize: 8000000,
+      minSharpness: 0.5
+    },
+    // Marketplace listings: near-square, mostly white, smaller files accepted
+    'marketplace': {
+      minResolution: [600, 600],
+      maxResolution: [1200, 1200],
+      preferredAspectRatio: [0.8, 1.25],
+      strictSquareOnly: false,
+      requirePureWhiteBackground: true,
+      whiteBackgroundThreshold: 0.6,
+      allowWatermarks: false,
+      watermarkDetectionThreshold: 0.4,
+      minFileSize: 30000,
+      maxFileSize: 8000000,
+      minSharpness: 0.35
+    },
+    // Internal reference images: anything recognisable
+    'reference': {
+      minResolution: [300, 300],
+      maxResolution: [1200, 1200],
+      preferredAspectRatio: [0.5, 2.0],
+      strictSquareOnly: false,
+      requirePureWhiteBackground: false,
+      whiteBackgroundThreshold: 0.5,
+      allowWatermarks: true,
+      watermarkDetectionThreshold: 0.5,
+      minFileSize: 10000,
+      maxFileSize: 8000000,
+      minSharpness: 0.2
+    }
+  },
+
+  // Quality values set by the `quality` block of a custom --config (filled in by main.js)
+  // Precedence, lowest first: quality, the active profile, qualityOverrides
+  qualityOverrides: {},
+
   // Download Settings - MAXIMUM SPEED
   download: {
     concurrentDownloads: 10, // Increased to 10 for maximum parallel downloads
@@ -83,22 +190,96 @@ module.exports = {
     backoffMultiplier: 1.2 // Minimal backoff
   },
 
+  // Rate Limiting - one politeness layer shared by search engines and image downloads
+  rateLimit: {
+    enabled: true,
+    requestsPerSecond: 2, // Token bucket refill rate per host
+    burst: 4, // Requests a host may get back to back
+    hosts: {
+      // Overrides per host; a key also matches its subdomains
+      'google.com': { requestsPerSecond: 0.5, burst: 1 },
+      'amazon.com': { requestsPerSecond: 0.5, burst: 1 },
+      'shopee.com.my': { requestsPerSecond: 0.5, burst: 1 },
+      'lazada.com.my': { requestsPerSecond: 0.5, burst: 1 }
+    },
+    defaultRetryAfterMs: 10000, // Pause after a 429/503 without a Retry-After header
+    maxRetryAfterMs: 120000, // Never pause a host longer than this, whatever Retry-After says
+    breaker: {
+      failureThreshold: 5, // Consecutive failures before an engine or domain is suspended (a CAPTCHA page suspends at once)
+      cooldownMs: 600000 // Suspension length; then one trial request decides whether to resume
+    }
+  },
+
+  // Image Processing Settings - applied to downloaded images before quality analysis
+  processing: {
+    // How to make images square:
+    //   'pad'       - fit the whole image and pad the short side (keeps long products intact)
+    //   'trim'      - trim existing uniform borders first, then pad with a small margin
+    //   'attention' - crop to the most interesting square region (may cut off product ends)
+    squareMode: 'pad',
+    outputFormat: 'jpeg', // Format saved master images are written in (first frame only for animations)
+    outputFormats: ['jpeg', 'png', 'webp'], // Formats we may write; separate from quality.allowedFormats
+    padBackground: 'white', // 'white' or 'detect' (use the dominant border colour)
+    trimThreshold: 10, // Colour distance from the border treated as background when trimming
+    trimMargin: 0.05, // Margin added on each side after trimming (fraction of the canvas)
+    // Background whitening: when an image fails only because its backdrop is light grey or a
+    // gradient, flood-fill the border-connected backdrop to pure white and analyze it again
+    whitenBackground: false,
+    whitenMinBrightness: 200, // Darkest channel value still treated as backdrop
+    whitenMaxChroma: 24, // Max spread between channels (keeps coloured areas untouched)
+    whitenMaxStep: 12, // Max per-channel change between neighbouring backdrop pixels
+    keepOriginals: true, // Keep the unprocessed download in an originals/ subfolder
+    // Extra sizes written next to each accepted master image (master is up to 1200px JPEG).
+    // Files are named <master name>_<rendition name>.<format>; format is 'jpeg' or 'webp'.
+    renditions: [
+      { name: 'listing', size: 600, format: 'jpeg', quality: 85 },
+      { name: 'thumb', size: 150, format: 'jpeg', quality: 80 }
+    ]
+  },
+
   // File System Settings
   fileSystem: {
     outputBaseDir: 'Item Images',
     nifSuffix: ' (NIF)', // No Image Found
     nsSuffix: ' (NS)', // Not Sure - Low confidence match
     imageExtensions: ['.jpg', '.jpeg', '.png'],
+    checkpointFile: 'checkpoint.json', // Per-item progress journal kept in the output directory (--resume)
     maxFolderNameLength: 255
   },
 
   // Excel Settings
   excel: {
     expectedColumns: ['Item ID', 'Name', 'Brand'],
+    // Read when present, ignored otherwise. MPN/UPC/EAN/Model identify the product better than its name
+    optionalColumns: ['Profile', 'MPN', 'UPC', 'EAN', 'Model', 'Category'],
+    // Explicit header for a column, e.g. { 'Item ID': 'SKU Code', name: 'Item Name' } (also --columns)
+    columnMapping: {},
+    fuzzyHeaderThreshold: 0.75, // Min header similarity (0-1) to accept an unmapped, misspelled header
+    // Sheets to read: null reads the first sheet; names or wildcards like ['Supplier *'], ['*'] for all (also --sheets)
+    sheets: null,
+    inputExtensions: ['.xlsx', '.xls', '.csv', '.json', '.ndjson', '.jsonl'], // Files picked up when --input is a directory or glob
+    onDuplicateId: 'skip', // Item ID found in more than one row/sheet/file: 'skip' later rows or 'error'
+    annotateInput: false, // Write <input>_annotated.xlsx with result columns to the output directory (also --annotate-input)
     headerRow: 1,
     maxRowsToProcess: 10000
   },
 
+  // Item Name Normalization Settings
+  names: {
+    // Internal abbreviations in item names and what they mean to a search engine
+    abbreviations: {
+      NC: 'UNC coarse thread',
+      NF: 'UNF fine thread',
+      FT: 'fully threaded',
+      HT: 'half threaded',
+      LH: 'left hand',
+      RH: 'right hand',
+      ST: 'straight',
+      SS: 'stainless steel'
+    },
+    unbrandedValues: ['NONE', 'N/A', 'NA', '-'] // Brand column values meaning "no brand"
+  },
+
   // Logging Settings
   logging: {
     level: 'info',
@@ -0,0 +1,43 @@
+/**
+ * Ace Hardware search engine
+ */
+
+const Helpers = require('../utils/helpers');
+
+module.exports = {
+  name: 'acehardware',
+  label: 'Ace Hardware',
+  transport: 'browser',
+  region: 'US',
+  navigationTimeout: 30000,
+  maxResults: 15,
+
+  /**
+   * Build the search page URL
+   * @param {string} query - Search query
+   * @returns {string} Search URL
+   */
+  buildUrl(query) {
+    return `https://www.acehardware.com/search?query=${encodeURIComponent(query)}`;
+  },
+
+  /**
+   * Extract image URLs from a results page
+   * @param {Function} $ - Cheerio document of the page
+   * @param {Object} context - {baseUrl, texts}: page URL, and an optional Map filled with each image's alt/title text
+   * @returns {Array} Array of image URLs
+   */
+  extract($, { baseUrl, texts }) {
+    const images = [];
+
+    $('.product-tile img, .product-image img').each((i, img) => {
+      const src = Helpers.resolveUrl($(img).attr('src'), baseUrl);
+      if (src) {
+        images.push(src);
+        if (texts) texts.set(src, Helpers.getImageText($, img));
+      }
+    });
+
+    return images;
+  }
+};
@@ -0,0 +1,64 @@
+/**
+ * Amazon search engine (amazon.com)
+ */
+
+const Helpers = require('../utils/helpers');
+
+module.exports = {
+  name: 'amazon',
+  label: 'Amazon',
+  transport: 'browser',
+  region: 'US',
+  waitForSelectors: ['div.s-main-slot'],
+  maxResults: 20,
+
+  /**
+   * Build the search page URL
+   * @param {string} query - Search query
+   * @returns {string} Search URL
+   */
+  buildUrl(query) {
+    return `https://www.amazon.com/s?k=${encodeURIComponent(query)}`;
+  },
+
+  /**
+   * Extract image URLs from a results page
+   * @param {Function} $ - Cheerio document of the page
+   * @param {Object} context - {baseUrl, texts}: page URL, and an optional Map filled with each image's alt/title text
+   * @returns {Array} Array of image URLs
+   */
+  extract($, { baseUrl, texts }) {
+    const images = [];
+
+    $('div.s-main-slot img.s-image').each((i, img) => {
+      let url = Helpers.resolveUrl($(img).attr('src'), baseUrl);
+      if (!url) {
+        return;
+      }
+
+      // Ask for the 1200px rendition, which keeps the aspect ratio
+      url = url
+        .replace('._AC_UY218_', '._AC_SL1200_')
+        .replace('._AC_UX218_', '._AC_SL1200_')
+        .replace('._SY300_', '._SL1200_')
+        .replace('._SX300_', '._SL1200_')
+        .replace('._AC_UL320_', '._AC_SL1200_')
+        .replace('._AC_UL200_', '._AC_SL1200_')
+        .replace('._AC_SL800_', '._AC_SL1200_')
+        .replace('._AC_SL1000_', '._AC_SL1200_');
+
+      // If no size modifier found, add one to get 1200px quality
+      if (!url.includes('._AC_SL') && !url.includes('._SL')) {
+        const extension = url.match(/\.[^.]*$/)?.[0] || '';
+        if (extension) {
+          url = url.replace(extension, `._AC_SL1200_${extension}`);
+        }
+      }
+
+      images.push(url);
+      if (texts) texts.set(url, Helpers.getImageText($, img));
+    });
+
+    return images;
+  }
+};
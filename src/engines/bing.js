@@ -0,0 +1,52 @@
+/**
+ * Bing Images search engine
+ * Plain HTTP: every result carries its full-size URL in the `m` attribute
+ */
+
+const Helpers = require('../utils/helpers');
+
+module.exports = {
+  name: 'bing',
+  label: 'Bing',
+  transport: 'http',
+  region: 'global',
+
+  /**
+   * Build the search page URL
+   * @param {string} query - Search query
+   * @returns {string} Search URL
+   */
+  buildUrl(query) {
+    return `https://www.bing.com/images/search?q=${encodeURIComponent(query)}&form=HDRSC2`;
+  },
+
+  /**
+   * Extract image URLs from the results page
+   * @param {Function} $ - Cheerio document
+   * @param {Object} context - {texts}: optional Map filled with each image's title/alt text
+   * @returns {Array} Array of image URLs
+   */
+  extract($, { texts } = {}) {
+    const imageUrls = [];
+
+    $('.iusc').each((i, element) => {
+      try {
+        const dataStr = $(element).attr('m');
+        if (dataStr) {
+          const data = JSON.parse(dataStr);
+          if (data.murl) {
+            imageUrls.push(data.murl);
+            if (texts) {
+              const text = [data.t, Helpers.getImageText($, $(element).find('img').first())].filter(Boolean).join(' | ');
+              texts.set(data.murl, text);
+            }
+          }
+        }
+      } catch (e) {
+        // Skip invalid entries
+      }
+    });
+
+    return imageUrls;
+  }
+};
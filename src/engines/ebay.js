@@ -0,0 +1,59 @@
+/**
+ * eBay search engine (ebay.com)
+ */
+
+const Helpers = require('../utils/helpers');
+
+module.exports = {
+  name: 'ebay',
+  label: 'eBay',
+  transport: 'browser',
+  region: 'US',
+  stealth: true,
+  waitForSelectors: [
+    '.s-item__image',
+    '.s-item',
+    '.x-item-title',
+    '[data-testid="item-image"]',
+    '.it-pic',
+    '.img'
+  ],
+  maxResults: 20,
+
+  /**
+   * Build the search page URL
+   * @param {string} query - Search query
+   * @returns {string} Search URL
+   */
+  buildUrl(query) {
+    return `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(query)}`;
+  },
+
+  /**
+   * Extract image URLs from a results page
+   * @param {Function} $ - Cheerio document of the page
+   * @param {Object} context - {baseUrl, selector, texts}: page URL, the result selector that matched, and an optional Map filled with each image's alt/title text
+   * @returns {Array} Array of image URLs
+   */
+  extract($, { baseUrl, selector, texts }) {
+    const images = [];
+
+    $(`${selector} img, img[src]`).each((i, img) => {
+      const src = Helpers.resolveUrl($(img).attr('src'), baseUrl);
+      if (src) {
+        // Convert to larger size
+        const url = src
+          .replace('s-225', 's-800')
+          .replace('s-140', 's-800')
+          .replace('s-300', 's-800')
+          .replace('_57', '_800')
+          .replace('_50', '_800')
+          .replace('_12', '_800');
+        images.push(url);
+        if (texts) texts.set(url, Helpers.getImageText($, img));
+      }
+    });
+
+    return images;
+  }
+};
@@ -0,0 +1,44 @@
+/**
+ * Google Images search engine
+ * Rendered in the browser because results are built by JavaScript
+ */
+
+const Helpers = require('../utils/helpers');
+
+module.exports = {
+  name: 'google',
+  label: 'Google',
+  transport: 'browser',
+  region: 'global',
+  navigationTimeout: 30000,
+
+  /**
+   * Build the search page URL
+   * @param {string} query - Search query
+   * @returns {string} Search URL
+   */
+  buildUrl(query) {
+    // isz:l = large images (600x600+)
+    return `https://www.google.com/search?q=${encodeURIComponent(query)}&tbm=isch&safe=off&tbs=isz:l`;
+  },
+
+  /**
+   * Extract image URLs from a results page
+   * @param {Function} $ - Cheerio document of the page
+   * @param {Object} context - {baseUrl, texts}: page URL, and an optional Map filled with each image's alt/title text
+   * @returns {Array} Array of image URLs
+   */
+  extract($, { baseUrl, texts }) {
+    const images = [];
+
+    $('img[src]').each((i, img) => {
+      const src = Helpers.resolveUrl($(img).attr('src'), baseUrl);
+      if (src && !src.includes('google.com')) {
+        images.push(src);
+        if (texts) texts.set(src, Helpers.getImageText($, img));
+      }
+    });
+
+    return images;
+  }
+};
@@ -0,0 +1,11 @@
+/**
+ * Hardware shops: MR.DIY, Ace Hardware and Home Depot searched in parallel
+ */
+
+module.exports = {
+  name: 'hardware',
+  label: 'Hardware shops',
+  transport: 'group',
+  region: 'MY, US',
+  engines: ['mrdiy', 'acehardware', 'homedepot']
+};
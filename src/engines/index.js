@@ -0,0 +1,18 @@
+/**
+ * Built-in search engines, registered by EngineRegistry
+ * Group engines must come after the engines they combine
+ */
+
+module.exports = [
+  require('./google'),
+  require('./bing'),
+  require('./amazon'),
+  require('./shopee'),
+  require('./lazada'),
+  require('./ebay'),
+  require('./mrdiy'),
+  require('./acehardware'),
+  require('./homedepot'),
+  require('./shopping'),
+  require('./hardware')
+];
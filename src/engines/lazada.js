@@ -0,0 +1,62 @@
+/**
+ * Lazada Malaysia search engine
+ */
+
+const Helpers = require('../utils/helpers');
+
+module.exports = {
+  name: 'lazada',
+  label: 'Lazada',
+  transport: 'browser',
+  region: 'MY',
+  stealth: true,
+  waitForSelectors: [
+    '[data-qa-locator="product-item"]',
+    '.Bm3ON',
+    '.gridItem',
+    '.product-item',
+    '[data-testid="product-item"]',
+    '.c2prKC',
+    '.item-card'
+  ],
+  maxResults: 20,
+
+  /**
+   * Build the search page URL
+   * @param {string} query - Search query
+   * @returns {string} Search URL
+   */
+  buildUrl(query) {
+    return `https://www.lazada.com.my/catalog/?q=${encodeURIComponent(query)}`;
+  },
+
+  /**
+   * Extract image URLs from a results page
+   * @param {Function} $ - Cheerio document of the page
+   * @param {Object} context - {baseUrl, selector, texts}: page URL, the result selector that matched, and an optional Map filled with each image's alt/title text
+   * @returns {Array} Array of image URLs
+   */
+  extract($, { baseUrl, selector, texts }) {
+    const images = [];
+
+    $(`${selector} img, ${selector} [data-src]`).each((i, img) => {
+      const element = $(img);
+      const imgSrc = Helpers.resolveUrl(element.attr('src') || element.attr('data-src') || element.attr('data-original'), baseUrl);
+
+      if (imgSrc) {
+        // Convert to higher resolution
+        const url = imgSrc
+          .replace('_200x200', '_800x800')
+          .replace('_180x180', '_800x800')
+          .replace('_240x240', '_800x800')
+          .replace('_300x300', '_800x800')
+          .replace('/200_', '/800_')
+          .replace('/240_', '/800_');
+        images.push(url);
+        if (texts) texts.set(url, Helpers.getImageText($, img));
+      }
+    });
+
+    return images;
+  }
+};
@@ -0,0 +1,45 @@
+/**
+ * MR.DIY Malaysia hardware shop search engine
+ */
+
+const Helpers = require('../utils/helpers');
+
+module.exports = {
+  name: 'mrdiy',
+  label: 'MrDIY',
+  transport: 'browser',
+  region: 'MY',
+  navigationTimeout: 30000,
+  maxResults: 15,
+
+  /**
+   * Build the search page URL
+   * @param {string} query - Search query
+   * @returns {string} Search URL
+   */
+  buildUrl(query) {
+    return `https://mrdiy.com.my/search?q=${encodeURIComponent(query)}`;
+  },
+
+  /**
+   * Extract image URLs from a results page
+   * @param {Function} $ - Cheerio document of the page
+   * @param {Object} context - {baseUrl, texts}: page URL, and an optional Map filled with each image's alt/title text
+   * @returns {Array} Array of image URLs
+   */
+  extract($, { baseUrl, texts }) {
+    const images = [];
+
+    $('.product-item img, .product-image img').each((i, img) => {
+      const src = Helpers.resolveUrl($(img).attr('src'), baseUrl);
+      if (src) {
+        // Convert to higher resolution if possible
+        const url = src.replace('_200x200', '_800x800').replace('_300x300', '_800x800');
+        images.push(url);
+        if (texts) texts.set(url, Helpers.getImageText($, img));
+      }
+    });
+
+    return images;
+  }
+};
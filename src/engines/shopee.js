@@ -0,0 +1,60 @@
+/**
+ * Shopee Malaysia search engine
+ */
+
+const Helpers = require('../utils/helpers');
+
+module.exports = {
+  name: 'shopee',
+  label: 'Shopee',
+  transport: 'browser',
+  region: 'MY',
+  stealth: true,
+  waitForSelectors: [
+    '[data-sqe="item"]',
+    '.shopee-search-item-result__item',
+    '.col-xs-2-4',
+    '.item-basic',
+    '[data-testid="product-item"]',
+    '.shopee-product-tile'
+  ],
+  maxResults: 20,
+
+  /**
+   * Build the search page URL
+   * @param {string} query - Search query
+   * @returns {string} Search URL
+   */
+  buildUrl(query) {
+    return `https://shopee.com.my/search?keyword=${encodeURIComponent(query)}`;
+  },
+
+  /**
+   * Extract image URLs from a results page
+   * @param {Function} $ - Cheerio document of the page
+   * @param {Object} context - {baseUrl, selector, texts}: page URL, the result selector that matched, and an optional Map filled with each image's alt/title text
+   * @returns {Array} Array of image URLs
+   */
+  extract($, { baseUrl, selector, texts }) {
+    const images = [];
+
+    $(`${selector} img, ${selector} [data-src]`).each((i, img) => {
+      const element = $(img);
+      const imgSrc = Helpers.resolveUrl(element.attr('src') || element.attr('data-src') || element.attr('data-original'), baseUrl);
+
+      if (imgSrc && !imgSrc.includes('placeholder')) {
+        // Convert thumbnail to larger image
+        const url = imgSrc
+          .replace('_tn', '')
+          .replace('_200x200', '_800x800')
+          .replace('_300x300', '_800x800')
+          .replace('_400x400', '_800x800')
+          .replace('/tn_', '/');
+        images.push(url);
+        if (texts) texts.set(url, Helpers.getImageText($, img));
+      }
+    });
+
+    return images;
+  }
+};
@@ -0,0 +1,11 @@
+/**
+ * Shopping sites that currently return usable results
+ */
+
+module.exports = {
+  name: 'shopping',
+  label: 'Shopping sites',
+  transport: 'group',
+  region: 'US',
+  engines: ['amazon']
+};
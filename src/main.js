@@ -8,12 +8,19 @@ const path = require('path');
 const fs = require('fs-extra');
 const Logger = require('./utils/logger');
 const config = require('./config/settings');
+const Helpers = require('./utils/helpers');
 
 // Import modules
 const ExcelReader = require('./modules/excelReader');
 const ImageSearch = require('./modules/imageSearch');
 const DownloadManager = require('./modules/downloadManager');
 const FileManager = require('./modules/fileManager');
+const QualityAnalyzer = require('./modules/qualityAnalyzer');
+const CheckpointJournal = require('./modules/checkpointJournal');
+const QueryStrategy = require('./modules/queryStrategy');
+const InputValidator = require('./modules/inputValidator');
+const EngineRegistry = require('./modules/engineRegistry');
+const RateLimiter = require('./modules/rateLimiter');
 
 /**
  * Main Application class
@@ -27,6 +34,8 @@ class ProductImageDownloader {
     this.imageSearch = new ImageSearch();
     this.downloadManager = new DownloadManager();
     this.fileManager = new FileManager();
+    this.journal = null;
+    this.inputSummary = null;
     this.startTime = null;
   }
 
@@ -43,45 +52,68 @@ class ProductImageDownloader {
       Logger.info('Configuration loaded', {
         engines: config.search.engines,
         maxImages: config.search.maxImagesPerItem,
+        qualityProfile: config.quality.profile,
         outputDir: options.output
       });
 
-      // Validate input file
-      await this.validateInputFile(options.input);
+      // Validate input (a file, a directory or a glob of files)
+      const inputFiles = await this.validateInputFile(options.input);
 
-      // Step 1: Read Excel file
-      const products = await this.readExcelFile(options.input);
+      // Step 1: Read every input file, check it and select the rows to process
+      const allProducts = await this.readExcelFile(inputFiles, options);
+      await this.validateInput(allProducts, options);
+      const products = this.selectProducts(allProducts, options);
       Logger.info('Excel processing completed', { productCount: products.length });
 
-      // Step 2: Setup folder structure
-      await this.fileManager.setupFolderStructure(products, options.output);
+      // Dry run: report queries/candidates only, no folders or downloads
+      if (options.dryRun || options.planOnly) {
+        await this.runDryRun(products, options);
+        return;
+      }
+
+      // Step 2: Load the checkpoint journal and skip items finished by earlier sessions
+      const { pendingProducts, restoredResults } = await this.loadCheckpoint(products, options);
 
-      // Step 3: Search and download images
-      const downloadResults = await this.processProducts(products, options.output);
+      // Step 3: Setup folder structure
+      await this.fileManager.setupFolderStructure(pendingProducts, options.output);
 
-      // Step 4: Handle products with no images found
+      // Step 4: Search and download images
+      const newResults = await this.processProducts(pendingProducts, options.output);
+      const downloadResults = [...restoredResults, ...newResults];
+
+      // Step 5: Handle products with no images found
       const nifProducts = products.filter(product => {
         const result = downloadResults.find(r => r.itemId === product.itemid);
-        return !result || result.downloaded === 0;
+        return !product.isNIF && (!result || result.downloaded === 0);
       });
 
       if (nifProducts.length > 0) {
         await this.fileManager.handleNoImageFound(nifProducts, options.output);
+        await this.recordFinalStates(nifProducts, 'isNIF', 'nif');
       }
 
-      // Step 5: Rename low-confidence folders to (NS)
-      const lowConfidenceProducts = products.filter(p => (p.imageMatchingConfidence || 0) < 0.7 && (p.imageMatchingConfidence || 0) > 0);
+      // Step 6: Rename low-confidence folders to (NS)
+      const lowConfidenceProducts = products.filter(p => !p.isNS && !p.isNIF && (p.imageMatchingConfidence || 0) < 0.7 && (p.imageMatchingConfidence || 0) > 0);
       if (lowConfidenceProducts.length > 0) {
         await this.fileManager.handleLowConfidenceMatches(lowConfidenceProducts, options.output);
+        await this.recordFinalStates(lowConfidenceProducts, 'isNS', 'ns');
       }
 
-      // Step 6: Generate summary report
+      // Step 7: Generate summary report covering every session of this run
       const reportPath = await this.fileManager.generateSummaryReport(
         products, 
         downloadResults, 
-        options.output
+        options.output,
+        this.journal.data.sessions,
+        this.inputSummary,
+        this.imageSearch.blockPages
       );
 
+      // Step 8: Copy the input workbooks with the results filled in next to each row
+      if (config.excel.annotateInput) {
+        await this.fileManager.generateAnnotatedInput(products, downloadResults, this.inputSummary.sources, options.output);
+      }
+
       // Final summary
   this.logFinalSummary(products, downloadResults, reportPath);
 
@@ -94,47 +126,205 @@ class ProductImageDownloader {
   }
 
   /**
-   * Validate input Excel file
-   * @param {string} inputPath - Path to input Excel file
+   * Apply --items and --max-products to the products read from the input
+   * @param {Array} products - Array of product objects
+   * @param {Object} options - Command line options
+   * @returns {Array} Selected products, in input order
+   */
+  selectProducts(products, options) {
+    let selected = products;
+
+    if (options.items) {
+      const wanted = new Set(options.items);
+      selected = selected.filter(product => wanted.has(String(product.itemid)));
+
+      const found = new Set(selected.map(product => String(product.itemid)));
+      const missing = options.items.filter(id => !found.has(id));
+      if (missing.length > 0) {
+        Logger.warn('Requested items not found in input', { items: missing });
+      }
+    }
+
+    if (options.maxProducts) {
+      selected = selected.slice(0, options.maxProducts);
+    }
+
+    if (selected.length === 0) {
+      throw new Error('No products selected by --items/--max-products');
+    }
+
+    if (selected.length !== products.length) {
+      Logger.info('Products selected for this run', {
+        selected: selected.length,
+        total: products.length
+      });
+    }
+
+    return selected;
+  }
+
+  /**
+   * Search (or only plan) without creating folders or downloading, then write a candidate report
+   * @param {Array} products - Array of product objects
+   * @param {Object} options - Command line options
+   * @returns {Promise<string>} Path to the dry-run report
+   */
+  async runDryRun(products, options) {
+    const mode = options.planOnly ? 'plan-only' : 'dry-run';
+    Logger.info('Dry run started, no folders will be created and no images downloaded', {
+      mode,
+      products: products.length
+    });
+
+    const entries = [];
+    for (const product of products) {
+      const entry = {
+        itemId: product.itemid,
+        name: product.name,
+        brand: product.brand,
+        sourceFile: product.sourceFile ? path.basename(product.sourceFile) : null,
+        sourceSheet: product.sourceSheet || null,
+        qualityProfile: product.qualityProfile || config.quality.profile,
+        brandWebsite: Boolean(product.brand && product.brand !== 'NONE'),
+        engines: config.search.engines,
+        queries: new QueryStrategy().buildPlan(product, config.search.engines)
+          .map(({ engine, template, query }) => ({ engine, template, query })),
+        candidates: [],
+        error: null
+      };
+
+      if (!options.planOnly) {
+        try {
+          const urls = await this.imageSearch.searchImages(product);
+          entry.candidates = urls.map(url => ({
+            url,
+            source: (product.imageSources && product.imageSources[url]) || 'unknown',
+            template: (product.imageQueries && product.imageQueries[url]) ? product.imageQueries[url].template : null
+          }));
+        } catch (error) {
+          entry.error = error.message;
+        }
+      }
+
+      entries.push(entry);
+      Logger.progress('Dry run progress', entries.length, products.length);
+    }
+
+    // Only the output directory itself is created, to hold the report; no product folders
+    await fs.ensureDir(options.output);
+    const reportPath = await this.fileManager.generateDryRunReport(entries, mode, options.output);
+    Logger.success('Dry run completed', {
+      mode,
+      products: entries.length,
+      withCandidates: entries.filter(e => e.candidates.length > 0).length,
+      blockPages: this.imageSearch.blockPages.length,
+      report: reportPath
+    });
+    return reportPath;
+  }
+
+  /**
+   * Start a checkpoint journal session and split products into finished and pending
+   * @param {Array} products - Array of product objects
+   * @param {Object} options - Command line options
+   * @returns {Promise<Object>} {pendingProducts, restoredResults}
+   */
+  async loadCheckpoint(products, options) {
+    await fs.ensureDir(options.output);
+    this.journal = new CheckpointJournal(options.output);
+    await this.journal.startSession(options, Boolean(options.resume));
+
+    const pendingProducts = [];
+    const restoredResults = [];
+
+    for (const product of products) {
+      if (!this.journal.isFinished(product.itemid)) {
+        pendingProducts.push(product);
+        continue;
+      }
+
+      const result = this.journal.restoreProduct(product);
+      restoredResults.push(result || {
+        itemId: product.itemid,
+        attempted: 0,
+        downloaded: 0,
+        failed: 0,
+        downloadedFiles: [],
+        errors: []
+      });
+    }
+
+    if (options.resume) {
+      Logger.info('Resuming from checkpoint journal', {
+        finished: restoredResults.length,
+        pending: pendingProducts.length,
+        states: this.journal.getStateCounts()
+      });
+    }
+
+    return { pendingProducts, restoredResults };
+  }
+
+  /**
+   * Record NIF/NS states in the checkpoint journal for products whose folder was renamed
+   * @param {Array} products - Products passed to the NIF/NS handler
+   * @param {string} flag - Product flag set by the handler ('isNIF' or 'isNS')
+   * @param {string} state - Journal state to record
    * @returns {Promise<void>}
    */
+  async recordFinalStates(products, flag, state) {
+    for (const product of products.filter(p => p[flag])) {
+      await this.journal.markFinal(product, state);
+    }
+  }
+
+  /**
+   * Validate the input path and resolve it to the files to read
+   * @param {string} inputPath - Input file, directory, wildcard file name or '-' for stdin
+   * @returns {Promise<Array>} Absolute paths of the input files
+   */
   async validateInputFile(inputPath) {
     if (!inputPath) {
       throw new Error('Input Excel file path is required');
     }
 
-    const absolutePath = path.resolve(inputPath);
-    
-    if (!await fs.pathExists(absolutePath)) {
-      throw new Error(`Input Excel file not found: ${absolutePath}`);
-    }
-
-    const stats = await fs.stat(absolutePath);
-    if (!stats.isFile()) {
-      throw new Error(`Input path is not a file: ${absolutePath}`);
-    }
+    const files = await ExcelReader.resolveInputFiles(inputPath);
 
-    Logger.info('Input file validated', { path: absolutePath, size: stats.size });
+    Logger.info('Input validated', { input: inputPath, files: files.length });
+    return files;
   }
 
   /**
-   * Read and parse Excel file
-   * @param {string} inputPath - Path to Excel file
-   * @returns {Promise<Array>} Array of product objects
+   * Read and parse every input file
+   * @param {Array} inputFiles - Absolute paths of the input files
+   * @param {Object} options - Command line options ({sheets})
+   * @returns {Promise<Array>} Array of product objects, one per item ID
    */
-  async readExcelFile(inputPath) {
+  async readExcelFile(inputFiles, options = {}) {
     try {
-      this.excelReader = new ExcelReader(path.resolve(inputPath));
-      const products = await this.excelReader.readFile();
-      
+      const allProducts = [];
+      const sources = [];
+      const skippedRows = [];
+
+      for (const file of inputFiles) {
+        this.excelReader = new ExcelReader(file, { sheets: options.sheets });
+        const products = await this.excelReader.readFile();
+        allProducts.push(...products);
+        skippedRows.push(...this.excelReader.skippedRows);
+        sources.push({ file, sheets: this.excelReader.sheetNames, products: products.length });
+
+        // Log summary
+        const summary = this.excelReader.getSummary();
+        Logger.info('Excel file summary', { file: path.basename(file), ...summary });
+      }
+
+      const { products, collisions } = ExcelReader.resolveIdCollisions(allProducts);
+      this.inputSummary = { sources, idCollisions: collisions, skippedRows };
+
       if (products.length === 0) {
         throw new Error('No valid products found in Excel file');
       }
 
-      // Log summary
-      const summary = this.excelReader.getSummary();
-      Logger.info('Excel file summary', summary);
-
       return products;
     } catch (error) {
       Logger.error('Failed to read Excel file', error);
@@ -142,6 +332,34 @@ class ProductImageDownloader {
     }
   }
 
+  /**
+   * Pre-flight check of the input: write input_validation.xlsx and, with --strict-input, stop on errors
+   * @param {Array} products - Products read from the input (one per item ID)
+   * @param {Object} options - Command line options
+   * @returns {Promise<Object>} Validation result
+   */
+  async validateInput(products, options) {
+    const validation = new InputValidator().validate(products, this.inputSummary);
+    const reportPath = await this.fileManager.generateInputValidationReport(validation, options.output);
+
+    if (validation.errors > 0) {
+      Logger.warn('Input validation found problems', {
+        errors: validation.errors,
+        warnings: validation.warnings,
+        report: reportPath
+      });
+      if (options.strictInput) {
+        throw new Error(`Input validation found ${validation.errors} error(s), aborting because of --strict-input. See ${reportPath}`);
+      }
+    } else if (validation.warnings > 0) {
+      Logger.info('Input validation passed with warnings', { warnings: validation.warnings, report: reportPath });
+    } else {
+      Logger.success('Input validation passed', { report: reportPath });
+    }
+
+    return validation;
+  }
+
   /**
    * Process all products - search and download images
    * @param {Array} products - Array of product objects
@@ -206,30 +424,47 @@ class ProductImageDownloader {
           brand: product.brand
         });
 
-        // Search for images
-        const imageUrls = await this.imageSearch.searchImages(product);
+        const productDir = path.join(outputDir, product.folderName || product.itemid);
+        const record = this.journal.getRecord(product.itemid);
+        let imageUrls;
+
+        if (record && record.state === 'searched') {
+          // An earlier session found URLs but stopped mid-download; drop its partial files
+          this.journal.restoreProduct(product);
+          imageUrls = product.imageUrls || [];
+          await fs.emptyDir(productDir);
+          Logger.info('Reusing image URLs from checkpoint', {
+            itemId: product.itemid,
+            urls: imageUrls.length
+          });
+        } else {
+          // Search for images
+          imageUrls = await this.imageSearch.searchImages(product);
+        }
         
         if (imageUrls.length === 0) {
           Logger.warn('No images found for product', {
             itemId: product.itemid
           });
           
-          batchResults.push({
+          const emptyResult = {
             itemId: product.itemid,
             attempted: 0,
             downloaded: 0,
             failed: 0,
             downloadedFiles: [],
             errors: ['No images found']
-          });
+          };
+          batchResults.push(emptyResult);
+          await this.journal.markDownloaded(product, emptyResult);
           continue;
         }
 
         // Store URLs in product for potential reuse
         product.imageUrls = imageUrls;
+        await this.journal.markSearched(product);
 
         // Download images
-        const productDir = path.join(outputDir, product.folderName || product.itemid);
         const downloadResult = await this.downloadManager.downloadProductImages(
           product,
           imageUrls,
@@ -237,6 +472,7 @@ class ProductImageDownloader {
         );
 
         batchResults.push(downloadResult);
+        await this.journal.markDownloaded(product, downloadResult);
 
       } catch (error) {
         Logger.error('Product processing failed', {
@@ -284,6 +520,26 @@ class ProductImageDownloader {
       'Processing Time': `${duration} seconds`,
       'Report Generated': reportPath
     });
+    Logger.success('Search Cache:', this.imageSearch.searchCache.getStats());
+
+    const blockPages = this.imageSearch.blockPages;
+    if (blockPages.length > 0) {
+      Logger.warn(`Block pages (CAPTCHA/consent/unusual traffic): ${blockPages.length}`, {
+        engines: [...new Set(blockPages.map(b => b.engine))].join(', '),
+        snapshots: config.search.blockPageDir || 'not saved'
+      });
+    }
+
+    // Engines and domains suspended during the run
+    const breakers = RateLimiter.getDefault().getBreakerReport();
+    if (breakers.length > 0) {
+      Logger.warn('Circuit breakers tripped during the run:');
+      breakers.forEach(b => Logger.warn(`  ${b.type} ${b.name}`, {
+        trips: b.trips,
+        lastReason: b.lastReason,
+        state: b.state === 'open' ? `suspended until ${b.suspendedUntil}` : 'recovered'
+      }));
+    }
     Logger.success('='.repeat(60));
   }
 
@@ -319,13 +575,25 @@ function setupCLI() {
     .version('1.0.0');
 
   program
-    .option('-i, --input <path>', 'Input Excel file path', 'products.xlsx')
+    .option('-i, --input <path>', 'Input Excel/CSV/JSON/NDJSON file, directory, quoted glob such as "inbox/*.xlsx", or - for NDJSON on stdin', 'products.xlsx')
+    .option('--sheets <names>', 'Comma-separated sheet names or wildcards to read (default: first sheet)')
+    .option('--all-sheets', 'Read every sheet of each workbook')
     .option('-o, --output <path>', 'Output directory path', 'Item Images')
     .option('-c, --config <path>', 'Custom configuration file path')
-    .option('--dry-run', 'Run without downloading images (validation only)')
+    .option('--dry-run', 'Search and report candidate URLs to the output directory without creating product folders or downloading')
+    .option('--plan-only', 'Like --dry-run, but only report the planned queries without searching')
+    .option('--annotate-input', 'Write a copy of each input workbook with image status, count, link, confidence and source domain columns')
+    .option('--strict-input', 'Abort when input validation finds errors (skipped rows, duplicate IDs, clashing folders)')
+    .option('--refresh-cache', 'Search again for every query and overwrite the on-disk search cache')
+    .option('--cache-only', 'Use only cached search and brand website results (even expired ones); make no search requests and open no brand websites')
+    .option('--resume', 'Resume from the checkpoint journal in the output directory, skipping finished items')
     .option('--verbose', 'Enable verbose logging')
     .option('--max-products <number>', 'Maximum number of products to process')
-    .option('--engines <list>', 'Comma-separated list of search engines to use (bing,google,shopee,lazada,ebay,shopping,amazon,hardware)');
+    .option('--items <ids>', 'Comma-separated list of Item IDs to process')
+    .option('--columns <mapping>', 'Map input headers to columns, e.g. "name=Item Name,itemid=SKU"')
+    .option('--profile <name>', 'Quality profile to apply (catalog-strict, marketplace, reference)')
+    .option('--add-placeholder <image>', 'Add a known placeholder image to the placeholder library and exit')
+    .option('--engines <list>', `Comma-separated list of search engines to use (${EngineRegistry.getDefault().list().join(',')}, plus search.customEngines)`);
 
   program.parse(process.argv);
   return program.opts();
@@ -345,24 +613,102 @@ async function main() {
 
     // Load custom configuration if provided
     if (options.config) {
-      const customConfig = require(path.resolve(options.config));
+      const { quality: customQuality, ...customConfig } = require(path.resolve(options.config));
       Object.assign(config, customConfig);
+      if (customQuality) {
+        // Merged into the base values rather than replacing them, and kept apart so they win over profiles
+        const { profile, ...overrides } = customQuality;
+        config.quality = { ...config.quality, ...customQuality };
+        config.qualityOverrides = { ...(config.qualityOverrides || {}), ...overrides };
+      }
       Logger.info('Custom configuration loaded', { configFile: options.config });
     }
 
+    // Select quality profile from CLI if provided
+    if (options.profile) {
+      const profile = Helpers.isKnownQualityProfile(options.profile);
+      if (!profile) {
+        throw new Error(`Unknown quality profile '${options.profile}'. Available profiles: ${Object.keys(config.qualityProfiles).join(', ')}`);
+      }
+      config.quality.profile = profile;
+      Logger.info('Quality profile selected from CLI', { profile });
+    }
+
+    const profileSettings = (config.qualityProfiles || {})[config.quality.profile] || {};
+    const overridden = Object.keys(config.qualityOverrides || {}).filter(key => key in profileSettings);
+    if (overridden.length > 0) {
+      Logger.info('Custom quality settings override the quality profile', {
+        profile: config.quality.profile,
+        settings: overridden
+      });
+    }
+
+    // Explicit header mapping, e.g. --columns "name=Item Name,itemid=SKU"
+    if (options.columns) {
+      for (const pair of options.columns.split(',')) {
+        const separator = pair.indexOf('=');
+        if (separator === -1) {
+          throw new Error(`Invalid --columns entry '${pair}', expected <column>=<header>`);
+        }
+        config.excel.columnMapping[pair.slice(0, separator).trim()] = pair.slice(separator + 1).trim();
+      }
+      Logger.info('Column mapping set from CLI', config.excel.columnMapping);
+    }
+
+    // Row selection
+    if (options.maxProducts !== undefined) {
+      const maxProducts = Number(options.maxProducts);
+      if (!Number.isInteger(maxProducts) || maxProducts < 1) {
+        throw new Error(`--max-products must be a positive integer, got '${options.maxProducts}'`);
+      }
+      options.maxProducts = maxProducts;
+    }
+    if (options.items) {
+      options.items = options.items.split(',').map(id => id.trim()).filter(Boolean);
+    }
+
+    // Sheet selection, e.g. --sheets "Supplier *,Extras" or --all-sheets
+    if (options.allSheets) {
+      options.sheets = ['*'];
+    } else if (options.sheets) {
+      options.sheets = options.sheets.split(',').map(name => name.trim()).filter(Boolean);
+    }
+
+    if (options.annotateInput) {
+      config.excel.annotateInput = true;
+    }
+
+    // Search cache mode
+    if (options.refreshCache && options.cacheOnly) {
+      throw new Error('--refresh-cache and --cache-only cannot be used together');
+    }
+    if (options.refreshCache || options.cacheOnly) {
+      config.search.cache = { ...(config.search.cache || {}), mode: options.refreshCache ? 'refresh' : 'only' };
+      Logger.info('Search cache mode set from CLI', { mode: config.search.cache.mode });
+    }
+
+    // Maintain the placeholder library instead of running
+    if (options.addPlaceholder) {
+      const entry = await new QualityAnalyzer().addPlaceholder(path.resolve(options.addPlaceholder));
+      Logger.success('Placeholder added to the library', {
+        name: entry.name,
+        hash: entry.hash,
+        library: config.quality.placeholderLibrary
+      });
+      return;
+    }
+
+    // Register in-house engines, then check the engine list against the registry
+    const engines = EngineRegistry.getDefault();
+    engines.loadCustomEngines(config.search.customEngines || []);
+
     // Override search engines from CLI if provided
     if (options.engines) {
-      const allowed = new Set(['bing', 'google', 'shopee', 'lazada', 'ebay', 'shopping']);
-      const list = options.engines
-        .split(',')
-        .map(e => e.trim().toLowerCase())
-        .filter(e => allowed.has(e));
-      if (list.length > 0) {
-        config.search.engines = list;
-        Logger.info('Search engines overridden from CLI', { engines: list });
-      } else {
-        Logger.warn('No valid engines provided to --engines; using defaults', { provided: options.engines });
-      }
+      const list = options.engines.split(',').map(e => e.trim()).filter(Boolean);
+      config.search.engines = engines.validateEngineList(list, '--engines');
+      Logger.info('Search engines overridden from CLI', { engines: config.search.engines });
+    } else {
+      config.search.engines = engines.validateEngineList(config.search.engines);
     }
 
     // Create and run the application
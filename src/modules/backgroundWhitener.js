@@ -0,0 +1,128 @@
+/**
+ * Background Whitener Module for Product Image Search & Download System
+ * Turns light grey or gradient backdrops that touch the image border into pure white
+ */
+
+const sharp = require('sharp');
+const config = require('../config/settings');
+
+/**
+ * Background Whitener class for post-processing near-white product shots
+ */
+class BackgroundWhitener {
+  /**
+   * Create BackgroundWhitener instance
+   * @param {Object} options - Overrides for config.processing whitening values
+   */
+  constructor(options = {}) {
+    this.minBrightness = options.minBrightness || config.processing.whitenMinBrightness;
+    this.maxChroma = options.maxChroma || config.processing.whitenMaxChroma;
+    this.maxStep = options.maxStep || config.processing.whitenMaxStep;
+  }
+
+  /**
+   * Flood-fill the border-connected near-white region to pure white
+   * @param {Buffer} imageBuffer - Image buffer
+   * @returns {Promise<Object>} {buffer, changed, whitenedRatio} - JPEG buffer and how much of the image was filled
+   */
+  async whiten(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .flatten({ background: '#ffffff' })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    const { width, height, channels } = info;
+    const mask = this.findBackground(data, width, height, channels);
+
+    let whitened = 0;
+    for (let i = 0; i < mask.length; i++) {
+      if (!mask[i]) continue;
+      const offset = i * channels;
+      for (let c = 0; c < channels; c++) {
+        data[offset + c] = 255;
+      }
+      whitened++;
+    }
+
+    const whitenedRatio = whitened / (width * height);
+
+    if (whitened === 0) {
+      return { buffer: imageBuffer, changed: false, whitenedRatio: 0 };
+    }
+
+    const buffer = await sharp(data, { raw: { width, height, channels } })
+      .jpeg({ mozjpeg: true, quality: 90 })
+      .toBuffer();
+
+    return { buffer, changed: true, whitenedRatio };
+  }
+
+  /**
+   * Find background pixels reachable from the border through near-white neighbours
+   * @param {Buffer} data - Raw pixel data
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {number} channels - Channels per pixel
+   * @returns {Uint8Array} 1 for background pixels, 0 otherwise
+   */
+  findBackground(data, width, height, channels) {
+    const mask = new Uint8Array(width * height);
+    const stack = [];
+
+    const isBackdrop = (index) => {
+      const offset = index * channels;
+      const r = data[offset];
+      const g = data[offset + 1];
+      const b = data[offset + 2];
+      const min = Math.min(r, g, b);
+      return min >= this.minBrightness && Math.max(r, g, b) - min <= this.maxChroma;
+    };
+
+    // Gradients are followed step by step, but a sharp jump means we hit the product edge
+    const isSmoothStep = (from, to) => {
+      const a = from * channels;
+      const b = to * channels;
+      return Math.abs(data[a] - data[b]) <= this.maxStep &&
+        Math.abs(data[a + 1] - data[b + 1]) <= this.maxStep &&
+        Math.abs(data[a + 2] - data[b + 2]) <= this.maxStep;
+    };
+
+    const seed = (index) => {
+      if (!mask[index] && isBackdrop(index)) {
+        mask[index] = 1;
+        stack.push(index);
+      }
+    };
+
+    for (let x = 0; x < width; x++) {
+      seed(x);
+      seed((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+      seed(y * width);
+      seed(y * width + width - 1);
+    }
+
+    while (stack.length > 0) {
+      const index = stack.pop();
+      const x = index % width;
+      const neighbours = [];
+      if (x > 0) neighbours.push(index - 1);
+      if (x < width - 1) neighbours.push(index + 1);
+      if (index >= width) neighbours.push(index - width);
+      if (index < (height - 1) * width) neighbours.push(index + width);
+
+      for (const next of neighbours) {
+        if (!mask[next] && isBackdrop(next) && isSmoothStep(index, next)) {
+          mask[next] = 1;
+          stack.push(next);
+        }
+      }
+    }
+
+    return mask;
+  }
+}
+
+module.exports = BackgroundWhitener;
@@ -0,0 +1,79 @@
+/**
+ * Block Page Detector Module for Product Image Search & Download System
+ * Recognizes CAPTCHA, consent and "unusual traffic" pages served instead of search results
+ */
+
+const cheerio = require('cheerio');
+
+// Pages served instead of results are short; text signatures are only checked on short pages
+// so a results page mentioning e.g. "captcha" in a product title is not mistaken for one
+const MAX_BLOCK_PAGE_TEXT = 3000;
+
+/**
+ * Known block pages. Each signature checks one of:
+ * - url:      regex on the final page URL (after redirects)
+ * - title:    regex on the document title
+ * - selector: CSS selector present in the page
+ * - text:     regex on the visible text of a short page
+ * kind is 'captcha' (robot check), 'unusual-traffic', 'blocked' (WAF challenge or access denied) or 'consent'
+ */
+const SIGNATURES = [
+  { kind: 'unusual-traffic', signature: 'google-sorry', url: /\/\/(www\.)?google\.[a-z.]+\/sorry\//i },
+  { kind: 'unusual-traffic', signature: 'unusual-traffic-text', text: /(our systems have detected|detected) unusual traffic/i },
+  { kind: 'consent', signature: 'google-consent', url: /\/\/consent\.google\.[a-z.]+\//i },
+  { kind: 'consent', signature: 'consent-title', title: /^before you continue/i },
+  { kind: 'consent', signature: 'consent-form', selector: 'form[action*="consent.google"], form[action*="/consent"]' },
+  { kind: 'captcha', signature: 'amazon-robot-check', selector: 'form[action*="validateCaptcha"]' },
+  { kind: 'captcha', signature: 'robot-check-title', title: /robot check|are you a (human|robot)/i },
+  { kind: 'captcha', signature: 'shopee-verify', url: /\/\/shopee\.[a-z.]+\/verify\//i },
+  { kind: 'captcha', signature: 'lazada-punish', url: /_____tmd_____\/punish/i },
+  { kind: 'captcha', signature: 'slider-captcha', selector: '#nc_1_wrapper, .nc-container, #baxia-punish' },
+  { kind: 'captcha', signature: 'recaptcha', selector: 'iframe[src*="/recaptcha/"], .g-recaptcha, #captcha-form' },
+  { kind: 'captcha', signature: 'hcaptcha', selector: 'iframe[src*="hcaptcha.com"], .h-captcha' },
+  { kind: 'blocked', signature: 'cloudflare-challenge', selector: '#challenge-form, #cf-challenge-running, #challenge-running' },
+  { kind: 'blocked', signature: 'challenge-title', title: /^(just a moment|attention required)/i },
+  { kind: 'blocked', signature: 'access-denied', title: /^access denied/i },
+  { kind: 'captcha', signature: 'captcha-text', text: /(enter the characters you see|verify (that )?you are (a )?human|are you a robot)/i }
+];
+
+/**
+ * Block Page Detector class matching pages against the known signatures
+ */
+class BlockPageDetector {
+  /**
+   * Check a loaded page for a block page signature
+   * @param {Object} page - {url, title, html}; title defaults to the <title> in the HTML
+   * @param {Array} signatures - Signatures to check (defaults to the built-in list)
+   * @returns {Object|null} {kind, signature, url} of the first match, or null for a normal page
+   */
+  static detect({ url = '', title = null, html = '' }, signatures = SIGNATURES) {
+    const $ = cheerio.load(html || '');
+    const pageTitle = (title !== null ? title : $('title').first().text()).trim();
+    let text = null;
+
+    for (const candidate of signatures) {
+      let matched = false;
+      if (candidate.url) {
+        matched = candidate.url.test(url);
+      } else if (candidate.title) {
+        matched = candidate.title.test(pageTitle);
+      } else if (candidate.selector) {
+        matched = $(candidate.selector).length > 0;
+      } else if (candidate.text) {
+        if (text === null) {
+          $('script, style, noscript').remove();
+          text = $('body').text().replace(/\s+/g, ' ').trim();
+        }
+        matched = text.length <= MAX_BLOCK_PAGE_TEXT && candidate.text.test(text);
+      }
+
+      if (matched) {
+        return { kind: candidate.kind, signature: candidate.signature, url };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = BlockPageDetector;
@@ -0,0 +1,29 @@
+/**
+ * Block Page Error for Product Image Search & Download System
+ * Raised when a search engine serves a CAPTCHA, consent or "unusual traffic" page instead of results
+ */
+
+/**
+ * Block Page Error class carrying what was detected and where the snapshot was saved
+ */
+class BlockPageError extends Error {
+  /**
+   * Create BlockPageError instance
+   * @param {string} engine - Engine name
+   * @param {Object} detection - {kind, signature, url} from BlockPageDetector.detect
+   * @param {Object} snapshot - {screenshot, html} paths of the saved page, when saved
+   */
+  constructor(engine, detection, snapshot = {}) {
+    super(`${engine} served a ${detection.kind} page (${detection.signature})`);
+    this.name = 'BlockPageError';
+    this.engine = engine;
+    this.kind = detection.kind;
+    this.signature = detection.signature;
+    this.url = detection.url;
+    this.snapshot = snapshot;
+    // Robot checks suspend the engine at once (RateLimiter.classifyFailure); a consent page is retried
+    this.captcha = detection.kind !== 'consent';
+  }
+}
+
+module.exports = BlockPageError;
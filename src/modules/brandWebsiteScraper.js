@@ -5,6 +5,8 @@
 
 const puppeteer = require('puppeteer');
 const path = require('path');
+const cheerio = require('cheerio');
+const Helpers = require('../utils/helpers');
 const brandWebsites = require('../config/brandWebsites');
 
 class BrandWebsiteScraper {
@@ -47,8 +49,9 @@ class BrandWebsiteScraper {
 
     /**
      * Search for product images on official brand website
+     * Part numbers, barcodes and model are tried before the product name
      */
-    async searchBrandWebsite(productName, brandName) {
+    async searchBrandWebsite(productName, brandName, identifiers = {}) {
         try {
             if (!brandName || brandName === 'NONE') {
                 return [];
@@ -61,9 +64,15 @@ class BrandWebsiteScraper {
             const brandKey = normBrandName.toUpperCase();
             const brandConfig = brandWebsites[brandKey];
 
+            const searchTerms = this.getSearchTerms(normProductName, identifiers);
+
             if (!brandConfig) {
                 this.logger.info(`f3e2 No official website configuration for brand: ${normBrandName}`);
-                return await this.tryGenericBrandSearch(normProductName, normBrandName);
+                for (const term of searchTerms) {
+                    const images = await this.tryGenericBrandSearch(term, normBrandName);
+                    if (images.length > 0) return images;
+                }
+                return [];
             }
 
             this.logger.info(`f3e2 Searching official ${normBrandName} website for: ${normProductName}`);
@@ -79,16 +88,20 @@ class BrandWebsiteScraper {
 
             switch (brandConfig.searchMethod) {
                 case 'path':
-                    imageUrls = await this.searchByPath(page, brandConfig, normProductName);
-                    break;
-                case 'query':
-                    imageUrls = await this.searchByQuery(page, brandConfig, normProductName);
+                    for (const term of searchTerms) {
+                        imageUrls = await this.searchByPath(page, brandConfig, term);
+                        if (imageUrls.length > 0) break;
+                    }
                     break;
                 case 'menu_scan':
-                    imageUrls = await this.searchMenuItems(page, brandConfig, normProductName);
+                    imageUrls = await this.searchMenuItems(page, brandConfig, searchTerms);
                     break;
+                case 'query':
                 default:
-                    imageUrls = await this.searchByQuery(page, brandConfig, normProductName);
+                    for (const term of searchTerms) {
+                        imageUrls = await this.searchByQuery(page, brandConfig, term);
+                        if (imageUrls.length > 0) break;
+                    }
             }
 
             await page.close();
@@ -102,6 +115,16 @@ class BrandWebsiteScraper {
         }
     }
 
+    /**
+     * Get search terms in priority order: part number, barcodes, model, product name
+     */
+    getSearchTerms(productName, identifiers = {}) {
+        const terms = [identifiers.mpn, identifiers.upc, identifiers.ean, identifiers.model, productName]
+            .filter(term => term && term.toString().trim().length > 0)
+            .map(term => term.toString().trim());
+        return [...new Set(terms)];
+    }
+
     /**
      * Search using direct product paths (Apple-style)
      */
@@ -146,10 +169,9 @@ class BrandWebsiteScraper {
             await page.waitForTimeout(2000);
             
             // Look for product links in search results
-            const productLinks = await page.evaluate((pattern) => {
-                const links = Array.from(document.querySelectorAll('a[href*="' + pattern + '"]'));
-                return links.map(link => link.href).slice(0, 3); // Top 3 results
-            }, brandConfig.productPathPattern);
+            const productLinks = BrandWebsiteScraper.extractProductLinks(
+                cheerio.load(await page.content()), brandConfig.productPathPattern, page.url()
+            );
 
             let allImages = [];
             
@@ -176,8 +198,9 @@ class BrandWebsiteScraper {
 
     /**
      * Search menu items (Restaurant brands)
+     * The menu is loaded once and scanned for each search term in priority order
      */
-    async searchMenuItems(page, brandConfig, productName) {
+    async searchMenuItems(page, brandConfig, searchTerms) {
         try {
             const menuUrl = brandConfig.searchUrl;
             await page.goto(menuUrl, { waitUntil: 'networkidle2', timeout: 15000 });
@@ -187,31 +210,12 @@ class BrandWebsiteScraper {
             await page.waitForTimeout(3000);
             
             // Search for matching menu items
-            const menuImages = await page.evaluate((productName, selectors) => {
-                const images = [];
-                const productKeywords = productName.toLowerCase().split(' ');
-                
-                selectors.forEach(selector => {
-                    const imgElements = document.querySelectorAll(selector);
-                    imgElements.forEach(img => {
-                        const alt = (img.alt || '').toLowerCase();
-                        const src = img.src || img.dataset.src;
-                        
-                        // Check if image alt text matches product
-                        const matchesProduct = productKeywords.some(keyword => 
-                            alt.includes(keyword) || src.includes(keyword)
-                        );
-                        
-                        if (matchesProduct && src && src.startsWith('http')) {
-                            images.push(src);
-                        }
-                    });
-                });
-                
-                return [...new Set(images)]; // Remove duplicates
-            }, productName, brandConfig.imageSelectors);
-            
-            return menuImages;
+            const $ = cheerio.load(await page.content());
+            for (const term of searchTerms) {
+                const images = BrandWebsiteScraper.extractMenuImages($, term, brandConfig.imageSelectors, page.url());
+                if (images.length > 0) return images;
+            }
+            return [];
             
         } catch (error) {
             this.logger.error(`Failed to scan menu: ${brandConfig.searchUrl}`, error);
@@ -224,31 +228,10 @@ class BrandWebsiteScraper {
      */
     async extractImagesFromPage(page, brandConfig) {
         try {
-            const images = await page.evaluate((selectors) => {
-                const imageUrls = [];
-                
-                selectors.forEach(selector => {
-                    const elements = document.querySelectorAll(selector);
-                    elements.forEach(img => {
-                        const src = img.src || img.dataset.src || img.dataset.original;
-                        if (src && src.startsWith('http')) {
-                            imageUrls.push(src);
-                        }
-                    });
-                });
-                
-                return [...new Set(imageUrls)]; // Remove duplicates
-            }, brandConfig.imageSelectors);
-            
-            // Filter for high-quality images
-            const highQualityImages = images.filter(url => {
-                // Look for high-resolution indicators
-                return url.includes('1200') || url.includes('1000') || 
-                       url.includes('large') || url.includes('hero') ||
-                       url.includes('main') || url.includes('product');
-            });
-            
-            return highQualityImages.length > 0 ? highQualityImages : images;
+            const images = BrandWebsiteScraper.extractImageUrls(
+                cheerio.load(await page.content()), brandConfig.imageSelectors, page.url()
+            );
+            return BrandWebsiteScraper.selectHighQualityImages(images);
             
         } catch (error) {
             this.logger.error('Failed to extract images from page:', error);
@@ -279,19 +262,9 @@ class BrandWebsiteScraper {
                     this.logger.info(`🏢 Trying generic brand search: ${url}`);
                     await page.goto(url, { waitUntil: 'networkidle2', timeout: 10000 });
                     
-                    const images = await page.evaluate((selectors) => {
-                        const imageUrls = [];
-                        selectors.forEach(selector => {
-                            const elements = document.querySelectorAll(selector);
-                            elements.forEach(img => {
-                                const src = img.src || img.dataset.src;
-                                if (src && src.startsWith('http')) {
-                                    imageUrls.push(src);
-                                }
-                            });
-                        });
-                        return [...new Set(imageUrls)];
-                    }, genericConfig.commonSelectors);
+                    const images = BrandWebsiteScraper.extractImageUrls(
+                        cheerio.load(await page.content()), genericConfig.commonSelectors, page.url()
+                    );
                     
                     allImages.push(...images);
                     if (allImages.length >= 3) break; // Found some images, stop trying
@@ -310,6 +283,95 @@ class BrandWebsiteScraper {
         }
     }
 
+    /**
+     * Extract product page links from a brand search results page
+     * @param {Function} $ - Cheerio document of the results page
+     * @param {string} pattern - Path fragment product links contain, e.g. '/products/'
+     * @param {string} baseUrl - URL of the results page
+     * @param {number} limit - Number of links to keep (top results)
+     * @returns {Array} Absolute product page URLs
+     */
+    static extractProductLinks($, pattern, baseUrl, limit = 3) {
+        const links = [];
+        $(`a[href*="${pattern}"]`).each((i, link) => {
+            const href = Helpers.resolveUrl($(link).attr('href'), baseUrl);
+            // Skip the product index itself (e.g. a "/products/" menu link)
+            if (href && !new URL(href).pathname.endsWith(pattern)) {
+                links.push(href);
+            }
+        });
+        return [...new Set(links)].slice(0, limit);
+    }
+
+    /**
+     * Extract image URLs matched by any of the selectors
+     * @param {Function} $ - Cheerio document of the page
+     * @param {Array} selectors - Image selectors, e.g. brandConfig.imageSelectors
+     * @param {string} baseUrl - URL of the page
+     * @returns {Array} Unique absolute image URLs, in selector order
+     */
+    static extractImageUrls($, selectors, baseUrl) {
+        const imageUrls = [];
+        selectors.forEach(selector => {
+            $(selector).each((i, img) => {
+                const element = $(img);
+                const src = Helpers.resolveUrl(element.attr('src') || element.attr('data-src') || element.attr('data-original'), baseUrl);
+                if (src) {
+                    imageUrls.push(src);
+                }
+            });
+        });
+        return [...new Set(imageUrls)]; // Remove duplicates
+    }
+
+    /**
+     * Prefer images whose URL suggests a large product shot
+     * @param {Array} images - Image URLs
+     * @returns {Array} The high-resolution looking URLs, or all of them when none look so
+     */
+    static selectHighQualityImages(images) {
+        const highQualityImages = images.filter(url => {
+            // Look for high-resolution indicators
+            return url.includes('1200') || url.includes('1000') || 
+                   url.includes('large') || url.includes('hero') ||
+                   url.includes('main') || url.includes('product');
+        });
+        
+        return highQualityImages.length > 0 ? highQualityImages : images;
+    }
+
+    /**
+     * Extract menu item images whose alt text or URL mentions a word of the product name
+     * @param {Function} $ - Cheerio document of the menu page
+     * @param {string} productName - Product name
+     * @param {Array} selectors - Image selectors
+     * @param {string} baseUrl - URL of the menu page
+     * @returns {Array} Unique absolute image URLs
+     */
+    static extractMenuImages($, productName, selectors, baseUrl) {
+        const images = [];
+        const productKeywords = productName.toLowerCase().split(' ').filter(Boolean);
+        
+        selectors.forEach(selector => {
+            $(selector).each((i, img) => {
+                const element = $(img);
+                const alt = (element.attr('alt') || '').toLowerCase();
+                const src = Helpers.resolveUrl(element.attr('src') || element.attr('data-src'), baseUrl);
+                
+                // Check if image alt text matches product
+                const matchesProduct = src && productKeywords.some(keyword => 
+                    alt.includes(keyword) || src.toLowerCase().includes(keyword)
+                );
+                
+                if (matchesProduct) {
+                    images.push(src);
+                }
+            });
+        });
+        
+        return [...new Set(images)]; // Remove duplicates
+    }
+
     /**
      * Close browser and cleanup
      */
@@ -0,0 +1,188 @@
+/**
+ * Checkpoint Journal Module for Product Image Search & Download System
+ * Records per-item progress in the output directory so interrupted runs can resume
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const Logger = require('../utils/logger');
+const config = require('../config/settings');
+
+// Product fields restored when an item is skipped on resume
+const PRODUCT_FIELDS = [
+  'folderName',
+  'folderPath',
+  'imageUrls',
+  'imageSources',
+  'imageQueries',
+  'imageTexts',
+  'searchQueries',
+  'qualityProfile',
+  'imageMatchingConfidence',
+  'perfectMatches',
+  'isNIF',
+  'isNS'
+];
+
+/**
+ * Checkpoint Journal class for tracking item states across sessions
+ *
+ * Item states:
+ * - searched:   image URLs found, downloads not finished
+ * - downloaded: downloads finished (final unless the item becomes NIF/NS)
+ * - nif:        no image found, folder renamed
+ * - ns:         low-confidence match, folder renamed
+ */
+class CheckpointJournal {
+  /**
+   * Create CheckpointJournal instance
+   * @param {string} outputDir - Output directory the journal is kept in
+   */
+  constructor(outputDir) {
+    this.journalPath = path.join(outputDir, config.fileSystem.checkpointFile);
+    this.data = { version: 1, sessions: [], items: {} };
+  }
+
+  /**
+   * Start a session, loading the existing journal when resuming
+   * @param {Object} options - Command line options of this session
+   * @param {boolean} resume - Continue from the existing journal instead of starting over
+   * @returns {Promise<Object>} Session record
+   */
+  async startSession(options, resume = false) {
+    if (resume) {
+      if (await fs.pathExists(this.journalPath)) {
+        this.data = await fs.readJson(this.journalPath);
+        Logger.info('Checkpoint journal loaded', {
+          journal: this.journalPath,
+          sessions: this.data.sessions.length,
+          items: Object.keys(this.data.items).length
+        });
+      } else {
+        Logger.warn('No checkpoint journal to resume from, starting a new run', { journal: this.journalPath });
+      }
+    }
+
+    const session = {
+      startedAt: new Date().toISOString(),
+      input: options.input,
+      resumed: resume && this.data.sessions.length > 0
+    };
+    this.data.sessions.push(session);
+    await this.save();
+    return session;
+  }
+
+  /**
+   * Get the journal record of an item
+   * @param {string} itemId - Item ID
+   * @returns {Object|null} Item record
+   */
+  getRecord(itemId) {
+    return this.data.items[itemId] || null;
+  }
+
+  /**
+   * Check whether an item needs no further search or download work
+   * @param {string} itemId - Item ID
+   * @returns {boolean} True for downloaded, NIF and NS items
+   */
+  isFinished(itemId) {
+    const record = this.getRecord(itemId);
+    return Boolean(record) && ['downloaded', 'nif', 'ns'].includes(record.state);
+  }
+
+  /**
+   * Copy the recorded product fields back onto a product
+   * @param {Object} product - Product object
+   * @returns {Object|null} Recorded download result, if any
+   */
+  restoreProduct(product) {
+    const record = this.getRecord(product.itemid);
+    if (!record) {
+      return null;
+    }
+    Object.assign(product, record.product);
+    return record.result || null;
+  }
+
+  /**
+   * Record that image URLs were found for an item
+   * @param {Object} product - Product object
+   * @returns {Promise<void>}
+   */
+  async markSearched(product) {
+    await this.update(product, 'searched');
+  }
+
+  /**
+   * Record the download result of an item
+   * @param {Object} product - Product object
+   * @param {Object} result - Download result
+   * @returns {Promise<void>}
+   */
+  async markDownloaded(product, result) {
+    await this.update(product, 'downloaded', result);
+  }
+
+  /**
+   * Record the final NIF or NS state of an item
+   * @param {Object} product - Product object
+   * @param {string} state - 'nif' or 'ns'
+   * @returns {Promise<void>}
+   */
+  async markFinal(product, state) {
+    const record = this.getRecord(product.itemid);
+    await this.update(product, state, record ? record.result : undefined);
+  }
+
+  /**
+   * Update an item record and persist the journal
+   * @param {Object} product - Product object
+   * @param {string} state - New item state
+   * @param {Object} result - Download result to keep (undefined keeps the current one)
+   * @returns {Promise<void>}
+   */
+  async update(product, state, result) {
+    const previous = this.getRecord(product.itemid) || {};
+    const snapshot = {};
+    for (const field of PRODUCT_FIELDS) {
+      if (product[field] !== undefined) {
+        snapshot[field] = product[field];
+      }
+    }
+
+    this.data.items[product.itemid] = {
+      state,
+      session: this.data.sessions.length,
+      updatedAt: new Date().toISOString(),
+      product: snapshot,
+      result: result !== undefined ? result : previous.result || null
+    };
+    await this.save();
+  }
+
+  /**
+   * Count items per state
+   * @returns {Object} State counts
+   */
+  getStateCounts() {
+    const counts = { searched: 0, downloaded: 0, nif: 0, ns: 0 };
+    for (const record of Object.values(this.data.items)) {
+      counts[record.state] = (counts[record.state] || 0) + 1;
+    }
+    return counts;
+  }
+
+  /**
+   * Write the journal atomically so a crash mid-write cannot corrupt it
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const tempPath = `${this.journalPath}.tmp`;
+    await fs.outputJson(tempPath, this.data, { spaces: 2 });
+    await fs.move(tempPath, this.journalPath, { overwrite: true });
+  }
+}
+
+module.exports = CheckpointJournal;
@@ -9,6 +9,8 @@ const path = require('path');
 const Logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
 const QualityAnalyzer = require('./qualityAnalyzer');
+const BackgroundWhitener = require('./backgroundWhitener');
+const RateLimiter = require('./rateLimiter');
 const ImageValidator = require('../utils/imageValidator');
 const config = require('../config/settings');
 const crypto = require('crypto');
@@ -23,8 +25,10 @@ class DownloadManager {
    */
   constructor() {
     this.qualityAnalyzer = new QualityAnalyzer();
+    this.backgroundWhitener = new BackgroundWhitener();
     this.imageValidator = new ImageValidator(Logger);
     this.axiosInstance = this.createAxiosInstance();
+    this.limiter = RateLimiter.getDefault(); // Per-host throttling and circuit breakers, shared with search
     this.downloadQueue = [];
     this.activeDownloads = 0;
     this.downloadedHashes = new Set(); // Track downloaded image hashes for duplicate detection
@@ -35,7 +39,8 @@ class DownloadManager {
       failed: 0,
       qualityRejected: 0,
       duplicatesSkipped: 0,
-      lowMatchSkipped: 0
+      lowMatchSkipped: 0,
+      backgroundsWhitened: 0
     };
   }
 
@@ -49,8 +54,8 @@ class DownloadManager {
       responseType: 'arraybuffer',
       headers: {
         'User-Agent': config.search.userAgent,
-        // Prefer JPEG/PNG only
-        'Accept': 'image/jpeg,image/png;q=0.9,*/*;q=0.1',
+        // Raster formats we can decode; everything is transcoded on save
+        'Accept': 'image/jpeg,image/png,image/webp,image/avif;q=0.9,image/gif;q=0.8,*/*;q=0.1',
         'Accept-Encoding': 'gzip, deflate, br',
         'Cache-Control': 'no-cache'
       }
@@ -74,22 +79,27 @@ class DownloadManager {
       // Reset duplicate detection for new product
       this.imageValidator.resetDuplicateDetection();
 
+      // Per-product profile (from the input file) wins over the run-wide profile
+      product.qualityProfile = product.qualityProfile || config.quality.profile;
+
       // Ensure output directory exists
       await fs.ensureDir(outputDir);
 
       // Process downloads in optimized chunks for maximum speed
       const imagesToDownload = imageUrls.slice(0, config.search.maxImagesPerItem);
-      const results = await this.processDownloadsInChunks(imagesToDownload, outputDir, product.itemid);
+      const results = await this.processDownloadsInChunks(imagesToDownload, outputDir, product.itemid, product.qualityProfile);
       
       // Process results
       const downloadResult = {
         itemId: product.itemid,
+        qualityProfile: product.qualityProfile,
         attempted: results.length,
         downloaded: 0,
         failed: 0,
         downloadedFiles: [],
         errors: [],
-        validationResults: []
+        validationResults: [],
+        qualityRejected: 0
       };
 
       let validImageCount = 0;
@@ -103,14 +113,22 @@ class DownloadManager {
             result.value.filePath,
             product.name,
             product.itemid,
-            product.brand // Include brand for enhanced matching
+            product.brand, // Include brand for enhanced matching
+            {
+              identifiers: Helpers.getProductIdentifiers(product),
+              sourceUrl: result.value.url,
+              pageText: (product.imageTexts && product.imageTexts[result.value.url]) || ''
+            }
           );
 
           downloadResult.validationResults.push({
             filePath: result.value.filePath,
             confidence: validation.confidence,
-            isMatch: validation.isMatch
+            isMatch: validation.isMatch,
+            identifierMatch: validation.identifierMatch,
+            sourceUrl: result.value.url
           });
+          result.value.matchConfidence = validation.confidence;
 
           validImageCount++;
           totalConfidence += validation.confidence;
@@ -118,13 +136,26 @@ class DownloadManager {
           downloadResult.downloadedFiles.push(result.value.filePath);
         } else {
           downloadResult.failed++;
+          if (result.reason?.qualityAnalysis) {
+            downloadResult.qualityRejected++;
+          }
           downloadResult.errors.push({
             index: i + 1,
+            url: imagesToDownload[i],
+            rule: result.reason?.rule || 'downloadError',
             error: result.reason?.message || 'Unknown error'
           });
         }
       }
 
+      // Record every candidate, accepted or rejected, for later review
+      const candidates = imageUrls.map((url, i) => this.buildCandidateRecord(url, i + 1, results[i], product));
+      downloadResult.candidatesFile = await this.writeCandidateReport(product, candidates, outputDir);
+      // Keep which query template produced each candidate, for the run-wide template stats
+      downloadResult.templateResults = candidates
+        .filter(c => c.template)
+        .map(c => ({ engine: c.engine, template: c.template, status: c.status }));
+
       // Calculate confidence metrics
       const avgConfidence = validImageCount > 0 ? totalConfidence / validImageCount : 0;
       const perfectMatches = downloadResult.validationResults.filter(v => v.confidence >= 1.0).length;
@@ -163,15 +194,17 @@ class DownloadManager {
    * @param {string} outputDir - Output directory
    * @param {string} itemId - Item ID for naming
    * @param {number} imageIndex - Image index for naming
+   * @param {string} qualityProfile - Quality profile to apply
    * @returns {Promise<Object>} Download result
    */
-  async downloadImageWithQueue(url, outputDir, itemId, imageIndex) {
+  async downloadImageWithQueue(url, outputDir, itemId, imageIndex, qualityProfile = null) {
     return new Promise((resolve, reject) => {
       this.downloadQueue.push({
         url,
         outputDir,
         itemId,
         imageIndex,
+        qualityProfile,
         resolve,
         reject
       });
@@ -188,7 +221,7 @@ class DownloadManager {
       const download = this.downloadQueue.shift();
       this.activeDownloads++;
       Helpers.retry(
-        () => this.downloadSingleImage(download.url, download.outputDir, download.itemId, download.imageIndex),
+        () => this.downloadSingleImage(download.url, download.outputDir, download.itemId, download.imageIndex, download.qualityProfile),
         config.download.retryAttempts
       ).then(result => {
         download.resolve(result);
@@ -207,22 +240,23 @@ class DownloadManager {
    * @param {string} outputDir - Output directory
    * @param {string} itemId - Item ID for naming
    * @param {number} imageIndex - Image index for naming
+   * @param {string} qualityProfile - Quality profile to apply
    * @returns {Promise<Object>} Download result
    */
-  async downloadSingleImage(url, outputDir, itemId, imageIndex) {
+  async downloadSingleImage(url, outputDir, itemId, imageIndex, qualityProfile = null) {
     try {
       Logger.info('Downloading image', { itemId, url, index: imageIndex });
 
       // Check if we already have enough images for this item (max 5)
       const currentCount = this.itemImageCounts.get(itemId) || 0;
       if (currentCount >= 5) {
-        throw new Error('Maximum images per item reached (5)');
+        throw this.createRejection('maxImagesPerItem', 'Maximum images per item reached (5)');
       }
 
       // Count attempted downloads
       this.stats.totalAttempted++;
 
-      // Enforce allowed file extensions from URL (jpeg/jpg/png only). If URL has no extension, defer to MIME checks.
+      // Enforce allowed input formats from the URL extension. If URL has no extension, defer to MIME checks.
       let urlExt = '';
       try {
         const pathname = new URL(url).pathname;
@@ -230,74 +264,83 @@ class DownloadManager {
       } catch (e) {
         urlExt = path.extname(url).toLowerCase();
       }
-      if (urlExt && !['.jpg', '.jpeg', '.png'].includes(urlExt)) {
-        throw new Error(`Unsupported file extension in URL: ${urlExt}`);
+      if (urlExt && !Helpers.isAllowedExtension(urlExt)) {
+        throw this.createRejection('allowedFormats', `Unsupported file extension in URL: ${urlExt}`);
       }
 
-      // Pre-check content-type via HEAD and enforce jpeg/png only
+      // Pre-check content-type via HEAD against the allowed input formats
       let contentType = '';
       try {
-        const headResp = await this.axiosInstance.head(url);
+        const headResp = await this.limiter.request(url, () => this.axiosInstance.head(url));
         contentType = headResp.headers['content-type'] || '';
       } catch (e) {
         // If HEAD fails, proceed to GET but will validate after
       }
 
-      if (contentType && !(contentType.startsWith('image/jpeg') || contentType.startsWith('image/png'))) {
-        throw new Error(`Unsupported Content-Type: ${contentType}`);
+      if (contentType && !Helpers.isAllowedInputFormat(contentType)) {
+        throw this.createRejection('allowedFormats', `Unsupported Content-Type: ${contentType}`);
       }
 
       // Download image data
-      const response = await this.axiosInstance.get(url);
+      const response = await this.limiter.request(url, () => this.axiosInstance.get(url));
       let imageBuffer = Buffer.from(response.data);
 
       // Best-effort MIME validation from data (sharp metadata)
-      let meta;
-      try {
-        meta = await sharp(imageBuffer).metadata();
-        const fmt = (meta.format || '').toLowerCase();
-        if (!['jpeg', 'jpg', 'png'].includes(fmt)) {
-          throw new Error(`Unsupported MIME/format from data: ${meta.format}`);
-        }
-      } catch (e) {
-        throw e;
+      // Sharp decodes only the first frame of animated GIF/WebP, which is the one we keep
+      const meta = await sharp(imageBuffer).metadata();
+      const sourceFormat = meta.format === 'heif' && meta.compression === 'av1' ? 'avif' : meta.format;
+      if (!Helpers.isAllowedInputFormat(sourceFormat)) {
+        throw this.createRejection('allowedFormats', `Unsupported MIME/format from data: ${meta.format}`);
       }
 
       // Generate perceptual hash for duplicate detection
       const imageHash = await this.generateImageHash(imageBuffer);
       if (this.downloadedHashes.has(imageHash)) {
         this.stats.duplicatesSkipped++;
-        throw new Error('Duplicate image detected');
+        throw this.createRejection('duplicate', 'Duplicate image detected');
       }
 
-      // Option 3: crop to square with attention focus before quality analysis
+      // Normalize to a square canvas before quality analysis
+      const sourceBuffer = imageBuffer;
+      let squareMode = 'none';
+      let padBackground = null;
       try {
-        // Pick a target size between 500 and 1200 based on the smaller side
-        const minSide = Math.min(meta.width || 0, meta.height || 0);
-        const targetSize = Math.max(500, Math.min(1200, minSide || 0));
-        imageBuffer = await sharp(imageBuffer)
-          .resize({ width: targetSize, height: targetSize, fit: sharp.fit.cover, position: sharp.strategy.attention })
-          // Re-encode as high-quality JPEG to ensure allowed extensions
-          .jpeg({ mozjpeg: true, quality: 90 })
-          .toBuffer();
+        const normalized = await this.normalizeToSquare(imageBuffer, meta);
+        imageBuffer = normalized.buffer;
+        squareMode = normalized.mode;
+        padBackground = normalized.background;
       } catch (e) {
-        Logger.warn('Failed to preprocess image with square crop', { itemId, url, error: e.message });
+        Logger.warn('Failed to normalize image to square', { itemId, url, mode: config.processing.squareMode, error: e.message });
+        imageBuffer = await this.encodeOutput(sharp(imageBuffer)).toBuffer();
       }
 
       // Enhanced image quality validation only (matching is done post-save)
-      const qualityAnalysis = await this.qualityAnalyzer.analyzeImage(imageBuffer, url);
-      
+      let qualityAnalysis = await this.qualityAnalyzer.analyzeImage(imageBuffer, url, qualityProfile);
+
+      // Optionally whiten a light grey/gradient backdrop and give the image a second chance
+      let originalBuffer = null;
+      if (this.shouldWhitenBackground(qualityAnalysis)) {
+        const whitened = await this.whitenBackground(sourceBuffer, meta, squareMode, url, qualityProfile, qualityAnalysis);
+        if (whitened) {
+          originalBuffer = imageBuffer;
+          imageBuffer = whitened.buffer;
+          qualityAnalysis = whitened.qualityAnalysis;
+        }
+      }
+
       if (!qualityAnalysis.isValid) {
         const issues = qualityAnalysis.issues.join(', ');
         this.stats.qualityRejected++;
-        throw new Error(`Image quality validation failed: ${issues}`);
+        const failedRule = qualityAnalysis.rejections && qualityAnalysis.rejections.length > 0 ?
+          qualityAnalysis.rejections[0].rule : 'quality';
+        throw this.createRejection(failedRule, `Image quality validation failed: ${issues}`, qualityAnalysis);
       }
 
       // Generate filename
-      // Force final extension to .jpg since we re-encode to JPEG
-      let extensionWithDot = '.jpg';
+      // Extension follows the output format since every image is re-encoded
+      const { format: outputFormat, extension } = Helpers.getOutputFormat();
       const baseFilename = `${itemId}_${imageIndex}`;
-      const filename = Helpers.generateUniqueFilename(baseFilename, extensionWithDot);
+      const filename = Helpers.generateUniqueFilename(baseFilename, extension);
       const filePath = path.join(outputDir, filename);
 
       // Save image to disk
@@ -306,13 +349,28 @@ class DownloadManager {
       // Verify file was written correctly
       const stats = await fs.stat(filePath);
       if (stats.size !== imageBuffer.length) {
-        throw new Error('File size mismatch after writing');
+        throw this.createRejection('writeError', 'File size mismatch after writing');
+      }
+
+      // Write the configured listing/thumbnail variants next to the master
+      const renditions = await this.writeRenditions(imageBuffer, outputDir, filename);
+
+      // Keep the unprocessed download next to the whitened file
+      let originalFile = null;
+      if (originalBuffer && config.processing.keepOriginals) {
+        const originalsDir = path.join(outputDir, 'originals');
+        await fs.ensureDir(originalsDir);
+        originalFile = path.join('originals', filename);
+        await fs.writeFile(path.join(outputDir, originalFile), originalBuffer);
       }
 
       // Track successful download
       this.downloadedHashes.add(imageHash);
       this.itemImageCounts.set(itemId, currentCount + 1);
       this.stats.successful++;
+      if (originalBuffer) {
+        this.stats.backgroundsWhitened++;
+      }
 
       // Store image metadata
       const metadataPath = path.join(outputDir, 'metadata.json');
@@ -328,10 +386,25 @@ class DownloadManager {
         fileName: filename,
         url,
         downloadDate: new Date().toISOString(),
+        sourceFormat,
+        outputFormat,
+        qualityProfile: qualityAnalysis.profile,
+        squareMode,
+        padBackground,
+        backgroundWhitened: Boolean(originalBuffer),
+        whitenedRatio: qualityAnalysis.backgroundWhitening ? qualityAnalysis.backgroundWhitening.whitenedRatio : null,
+        originalFile,
+        fileSize: stats.size,
+        renditions,
         qualityScore: qualityAnalysis.score,
         dimensions: qualityAnalysis.dimensions,
         backgroundConfidence: qualityAnalysis.backgroundConfidence,
-        hasWatermark: qualityAnalysis.hasWatermark
+        whitePixelRatio: qualityAnalysis.backgroundConfidence,
+        dominantBackgroundColor: qualityAnalysis.backgroundColor ? qualityAnalysis.backgroundColor.hex : null,
+        sharpness: qualityAnalysis.sharpness,
+        hasWatermark: qualityAnalysis.hasWatermark,
+        watermarkConfidence: qualityAnalysis.watermarkConfidence,
+        watermarkRegion: qualityAnalysis.watermarkRegion
       });
       fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
 
@@ -343,15 +416,329 @@ class DownloadManager {
         qualityScore: qualityAnalysis.score,
         dimensions: qualityAnalysis.dimensions,
         backgroundConfidence: qualityAnalysis.backgroundConfidence,
-        hasWatermark: qualityAnalysis.hasWatermark
+        hasWatermark: qualityAnalysis.hasWatermark,
+        squareMode,
+        backgroundWhitened: Boolean(originalBuffer),
+        originalFile,
+        renditions,
+        qualityAnalysis
       };
     } catch (error) {
-      Logger.warn('Single image download failed', { itemId, url, error: error.message });
+      if (!error.rule) {
+        error.rule = 'downloadError';
+      }
+      Logger.warn('Single image download failed', { itemId, url, rule: error.rule, error: error.message });
       this.stats.failed++;
       throw error;
     }
   }
 
+  /**
+   * Make an image square using the configured mode
+   * @param {Buffer} imageBuffer - Decoded-source image buffer
+   * @param {Object} meta - Sharp metadata of the source image
+   * @returns {Promise<Object>} {buffer, mode, background} - Encoded buffer, mode used, pad colour (hex)
+   */
+  async normalizeToSquare(imageBuffer, meta) {
+    const mode = config.processing.squareMode;
+
+    if (mode === 'attention') {
+      // Pick a target size between 500 and 1200 based on the smaller side
+      const minSide = Math.min(meta.width || 0, meta.height || 0);
+      const targetSize = Math.max(500, Math.min(1200, minSide || 0));
+      const buffer = await this.encodeOutput(sharp(imageBuffer)
+        .resize({ width: targetSize, height: targetSize, fit: sharp.fit.cover, position: sharp.strategy.attention }))
+        .toBuffer();
+      return { buffer, mode, background: null };
+    }
+
+    if (mode !== 'pad' && mode !== 'trim') {
+      throw new Error(`Unknown square mode: ${mode}`);
+    }
+
+    let source = imageBuffer;
+    let width = meta.width || 0;
+    let height = meta.height || 0;
+    let margin = 0;
+
+    if (mode === 'trim') {
+      try {
+        const { data, info } = await sharp(imageBuffer)
+          .trim({ threshold: config.processing.trimThreshold })
+          .toBuffer({ resolveWithObject: true });
+        source = data;
+        width = info.width;
+        height = info.height;
+        margin = config.processing.trimMargin;
+      } catch (e) {
+        // Nothing to trim (e.g. uniform image); pad the original instead
+        Logger.warn('Whitespace trim failed, padding untrimmed image', { error: e.message });
+      }
+    }
+
+    const background = await this.getPadBackground(source);
+    const targetSize = Math.max(500, Math.min(1200, Math.max(width, height)));
+    const marginPx = Math.round(targetSize * margin);
+    const innerSize = targetSize - 2 * marginPx;
+
+    const buffer = await this.encodeOutput(sharp(source)
+      .flatten({ background })
+      .resize({ width: innerSize, height: innerSize, fit: sharp.fit.contain, background })
+      .extend({ top: marginPx, bottom: marginPx, left: marginPx, right: marginPx, background }))
+      .toBuffer();
+
+    return { buffer, mode, background };
+  }
+
+  /**
+   * Write resized variants of an accepted image next to the master file
+   * @param {Buffer} imageBuffer - Master image buffer
+   * @param {string} outputDir - Output directory
+   * @param {string} masterFilename - File name of the master image
+   * @returns {Promise<Array>} [{name, fileName, format, width, height, fileSize}] for each rendition written
+   */
+  async writeRenditions(imageBuffer, outputDir, masterFilename) {
+    const renditions = [];
+    const baseName = path.basename(masterFilename, path.extname(masterFilename));
+
+    for (const rendition of config.processing.renditions || []) {
+      const format = rendition.format === 'webp' ? 'webp' : 'jpeg';
+      const fileName = `${baseName}_${rendition.name}.${format === 'webp' ? 'webp' : 'jpg'}`;
+
+      try {
+        let pipeline = sharp(imageBuffer)
+          .resize({ width: rendition.size, height: rendition.size, fit: sharp.fit.inside, withoutEnlargement: true });
+        pipeline = format === 'webp' ?
+          pipeline.webp({ quality: rendition.quality || 85 }) :
+          pipeline.jpeg({ mozjpeg: true, quality: rendition.quality || 85 });
+
+        const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+        await fs.writeFile(path.join(outputDir, fileName), data);
+
+        renditions.push({
+          name: rendition.name,
+          fileName,
+          format,
+          width: info.width,
+          height: info.height,
+          fileSize: info.size
+        });
+      } catch (error) {
+        // A missing variant should not cost us the accepted master image
+        Logger.warn('Failed to write image rendition', { fileName, error: error.message });
+      }
+    }
+
+    return renditions;
+  }
+
+  /**
+   * Check whether an image should go through background whitening
+   * @param {Object} qualityAnalysis - Quality analysis of the unprocessed image
+   * @returns {boolean} True when whitening is enabled and the background rule failed
+   */
+  shouldWhitenBackground(qualityAnalysis) {
+    if (!config.processing.whitenBackground || qualityAnalysis.isValid) {
+      return false;
+    }
+    return (qualityAnalysis.rejections || []).some(r => r.rule === 'requirePureWhiteBackground');
+  }
+
+  /**
+   * Whiten the border-connected backdrop and re-run quality analysis on the result
+   * @param {Buffer} imageBuffer - Downloaded image buffer, before square normalization
+   * @param {Object} meta - Sharp metadata of the downloaded image
+   * @param {string} squareMode - Square mode applied to the unprocessed image ('none' if it failed)
+   * @param {string} url - Image URL
+   * @param {string} qualityProfile - Quality profile to apply
+   * @param {Object} originalAnalysis - Quality analysis of the unprocessed image
+   * @returns {Promise<Object|null>} {buffer, qualityAnalysis}, or null if nothing was whitened
+   */
+  async whitenBackground(imageBuffer, meta, squareMode, url, qualityProfile, originalAnalysis) {
+    try {
+      // Whiten before padding so the flood fill starts from the real image border
+      const whitened = await this.backgroundWhitener.whiten(imageBuffer);
+      if (!whitened.changed) {
+        return null;
+      }
+
+      const buffer = squareMode !== 'none' ?
+        (await this.normalizeToSquare(whitened.buffer, meta)).buffer :
+        await this.encodeOutput(sharp(whitened.buffer)).toBuffer();
+
+      const analysis = await this.qualityAnalyzer.analyzeImage(buffer, url, qualityProfile);
+      Logger.info('Background whitening applied', {
+        url,
+        whitenedRatio: whitened.whitenedRatio.toFixed(3),
+        originalBackgroundConfidence: originalAnalysis.backgroundConfidence,
+        backgroundConfidence: analysis.backgroundConfidence,
+        isValid: analysis.isValid
+      });
+
+      return {
+        buffer,
+        // Copy so the analyzer's cached entry is not modified
+        qualityAnalysis: {
+          ...analysis,
+          backgroundWhitening: {
+            whitenedRatio: whitened.whitenedRatio,
+            originalScore: originalAnalysis.score,
+            originalBackgroundConfidence: originalAnalysis.backgroundConfidence
+          }
+        }
+      };
+    } catch (error) {
+      Logger.warn('Background whitening failed', { url, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Apply the configured output encoder to a sharp pipeline
+   * @param {Object} pipeline - Sharp instance
+   * @returns {Object} Sharp instance encoding to processing.outputFormat
+   */
+  encodeOutput(pipeline) {
+    const { format } = Helpers.getOutputFormat();
+
+    if (format === 'png') {
+      return pipeline.png({ compressionLevel: 9 });
+    }
+    if (format === 'webp') {
+      return pipeline.webp({ quality: 90 });
+    }
+    // Flatten transparency since JPEG has no alpha channel
+    return pipeline.flatten({ background: '#ffffff' }).jpeg({ mozjpeg: true, quality: 90 });
+  }
+
+  /**
+   * Get the canvas colour used when padding to square
+   * @param {Buffer} imageBuffer - Image buffer
+   * @returns {Promise<string>} Hex colour
+   */
+  async getPadBackground(imageBuffer) {
+    if (config.processing.padBackground !== 'detect') {
+      return '#ffffff';
+    }
+
+    const background = await this.qualityAnalyzer.analyzeStrictBackground(imageBuffer);
+    return background.dominantColor ? background.dominantColor.hex : '#ffffff';
+  }
+
+  /**
+   * Create an error describing why a candidate image was rejected
+   * @param {string} rule - Name of the rule that failed
+   * @param {string} message - Error message
+   * @param {Object} qualityAnalysis - Quality analysis, if the image got that far
+   * @returns {Error} Error tagged with the failed rule
+   */
+  createRejection(rule, message, qualityAnalysis = null) {
+    const error = new Error(message);
+    error.rule = rule;
+    error.qualityAnalysis = qualityAnalysis;
+    return error;
+  }
+
+  /**
+   * Build the report entry for one candidate URL
+   * @param {string} url - Candidate image URL
+   * @param {number} index - 1-based position in the candidate list
+   * @param {Object} result - Settled download result (undefined if never attempted)
+   * @param {Object} product - Product object
+   * @returns {Object} Candidate record
+   */
+  buildCandidateRecord(url, index, result, product) {
+    const searchStep = (product.imageQueries && product.imageQueries[url]) || null;
+    const candidate = {
+      index,
+      url,
+      engine: (product.imageSources && product.imageSources[url]) || 'unknown',
+      template: searchStep ? searchStep.template : null,
+      query: searchStep ? searchStep.query : null,
+      status: 'rejected',
+      rule: null,
+      reason: null,
+      fileName: null,
+      matchConfidence: null,
+      measurements: null,
+      score: null,
+      scoreBreakdown: null,
+      failedRules: []
+    };
+
+    let analysis = null;
+
+    if (!result) {
+      candidate.status = 'skipped';
+      candidate.rule = 'maxImagesPerItem';
+      candidate.reason = `Not attempted: only the first ${config.search.maxImagesPerItem} candidates are downloaded`;
+    } else if (result.status === 'fulfilled' && result.value && result.value.success) {
+      candidate.status = 'accepted';
+      candidate.fileName = path.basename(result.value.filePath);
+      candidate.matchConfidence = result.value.matchConfidence ?? null;
+      analysis = result.value.qualityAnalysis;
+    } else {
+      candidate.rule = result.reason?.rule || 'downloadError';
+      candidate.reason = result.reason?.message || 'Unknown error';
+      analysis = result.reason?.qualityAnalysis || null;
+    }
+
+    if (analysis) {
+      candidate.measurements = {
+        dimensions: analysis.dimensions || null,
+        format: analysis.format || null,
+        fileSize: analysis.fileSize || null,
+        aspectRatio: analysis.aspectRatio || null,
+        isSquare: analysis.isSquare || false,
+        meetsSizeRequirements: analysis.meetsSizeRequirements || false,
+        backgroundConfidence: analysis.backgroundConfidence || 0,
+        backgroundColor: analysis.backgroundColor ? analysis.backgroundColor.hex : null,
+        sharpness: analysis.sharpness || 0,
+        sharpnessVariance: analysis.sharpnessVariance || 0,
+        hasWatermark: analysis.hasWatermark || false,
+        watermarkConfidence: analysis.watermarkConfidence || 0,
+        watermarkRegion: analysis.watermarkRegion || null,
+        channelStdDev: analysis.channelStdDev || 0,
+        colorEntropy: analysis.colorEntropy || 0,
+        perceptualHash: analysis.perceptualHash || null,
+        placeholderMatch: analysis.placeholderMatch || null,
+        backgroundWhitening: analysis.backgroundWhitening || null
+      };
+      candidate.score = analysis.score;
+      candidate.scoreBreakdown = analysis.scoreBreakdown || null;
+      candidate.failedRules = analysis.rejections || [];
+    }
+
+    return candidate;
+  }
+
+  /**
+   * Write the per-product candidate report (candidates.json)
+   * @param {Object} product - Product object
+   * @param {Array} candidates - Candidate records
+   * @param {string} outputDir - Product output directory
+   * @returns {Promise<string>} Path to the report, or '' if it could not be written
+   */
+  async writeCandidateReport(product, candidates, outputDir) {
+    const reportPath = path.join(outputDir, 'candidates.json');
+    try {
+      await fs.writeJson(reportPath, {
+        itemId: product.itemid,
+        name: product.name,
+        brand: product.brand,
+        qualityProfile: product.qualityProfile,
+        generatedAt: new Date().toISOString(),
+        accepted: candidates.filter(c => c.status === 'accepted').length,
+        rejected: candidates.filter(c => c.status !== 'accepted').length,
+        candidates
+      }, { spaces: 2 });
+      return reportPath;
+    } catch (error) {
+      Logger.warn('Failed to write candidate report', { itemId: product.itemid, error: error.message });
+      return '';
+    }
+  }
+
   /**
    * Download images for multiple products in batch
    * @param {Array} products - Array of product objects with imageUrls
@@ -465,7 +852,8 @@ class DownloadManager {
       failed: 0,
       qualityRejected: 0,
       duplicatesSkipped: 0,
-      lowMatchSkipped: 0
+      lowMatchSkipped: 0,
+      backgroundsWhitened: 0
     };
     this.downloadedHashes.clear();
     this.itemImageCounts.clear();
@@ -490,9 +878,10 @@ class DownloadManager {
    * @param {Array} imageUrls - Array of image URLs to download
    * @param {string} outputDir - Output directory path
    * @param {string} itemId - Item ID for logging
+   * @param {string} qualityProfile - Quality profile to apply
    * @returns {Promise<Array>} Array of download results
    */
-  async processDownloadsInChunks(imageUrls, outputDir, itemId) {
+  async processDownloadsInChunks(imageUrls, outputDir, itemId, qualityProfile = null) {
     const chunkSize = config.download.concurrentDownloads;
     const results = [];
     
@@ -500,7 +889,7 @@ class DownloadManager {
     for (let i = 0; i < imageUrls.length; i += chunkSize) {
       const chunk = imageUrls.slice(i, i + chunkSize);
       const chunkPromises = chunk.map((url, index) => 
-        this.downloadSingleImage(url, outputDir, itemId, i + index + 1)
+        this.downloadSingleImage(url, outputDir, itemId, i + index + 1, qualityProfile)
       );
       
       // Process chunk in parallel
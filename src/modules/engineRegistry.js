@@ -0,0 +1,203 @@
+/**
+ * Engine Registry Module for Product Image Search & Download System
+ * Keeps the search engines that can be used in config.search.engines and --engines
+ */
+
+const path = require('path');
+const cheerio = require('cheerio');
+const Logger = require('../utils/logger');
+const builtInEngines = require('../engines');
+
+const TRANSPORTS = ['http', 'browser', 'group'];
+
+let defaultRegistry = null;
+
+/**
+ * Engine Registry class holding search engine definitions by name
+ *
+ * An engine is a module exporting:
+ * - name:      name used in config.search.engines, --engines and query templates
+ * - label:     name used in log messages (defaults to name)
+ * - transport: 'http' (axios + cheerio), 'browser' (puppeteer) or 'group' (runs other engines)
+ * - region:    market the engine covers, e.g. 'global', 'US', 'MY'
+ * - buildUrl(query) and extract($, {baseUrl, selector, query, texts}) for http and browser engines;
+ *   extract gets a cheerio document of the results page for both transports, so it can be
+ *   tested against saved HTML (tests/fixtures/engines). When texts (a Map) is given, extract
+ *   sets each URL's alt/title text in it, used as pageText when matching images to products
+ * - engines:   member engine names for group engines
+ * Engines may also set waitForSelectors, stealth, navigationTimeout and maxResults.
+ */
+class EngineRegistry {
+  /**
+   * Create EngineRegistry instance
+   * @param {Array} engines - Engine definitions to register (defaults to the built-in engines)
+   */
+  constructor(engines = builtInEngines) {
+    this.engines = new Map();
+    engines.forEach(engine => this.register(engine));
+  }
+
+  /**
+   * Get the registry shared by the CLI, the search and the reports
+   * @returns {EngineRegistry} Registry with the built-in engines and any loaded custom engines
+   */
+  static getDefault() {
+    if (!defaultRegistry) {
+      defaultRegistry = new EngineRegistry();
+    }
+    return defaultRegistry;
+  }
+
+  /**
+   * Register an engine
+   * @param {Object} engine - Engine definition
+   * @returns {Object} The registered engine
+   * @throws {Error} When the definition is incomplete or the name is taken
+   */
+  register(engine) {
+    const name = engine && typeof engine.name === 'string' ? engine.name.trim().toLowerCase() : '';
+    if (!name) {
+      throw new Error('Search engine definition needs a name');
+    }
+    if (this.engines.has(name)) {
+      throw new Error(`Search engine '${name}' is already registered`);
+    }
+    if (!TRANSPORTS.includes(engine.transport)) {
+      throw new Error(`Search engine '${name}' has unknown transport '${engine.transport}'. Use one of: ${TRANSPORTS.join(', ')}`);
+    }
+
+    if (engine.transport === 'group') {
+      const unknown = (engine.engines || []).filter(member => !this.has(member));
+      if (!Array.isArray(engine.engines) || engine.engines.length === 0 || unknown.length > 0) {
+        throw new Error(`Search engine group '${name}' must list registered engines${unknown.length > 0 ? `; unknown: ${unknown.join(', ')}` : ''}`);
+      }
+    } else if (typeof engine.buildUrl !== 'function' || typeof engine.extract !== 'function') {
+      throw new Error(`Search engine '${name}' must define buildUrl(query) and extract()`);
+    }
+
+    const definition = {
+      label: engine.name,
+      region: 'global',
+      ...engine,
+      name
+    };
+    this.engines.set(name, definition);
+    return definition;
+  }
+
+  /**
+   * Load custom engine modules
+   * @param {Array<string>} modulePaths - Module paths, relative to the working directory
+   * @returns {Array<string>} Names of the engines loaded
+   */
+  loadCustomEngines(modulePaths = []) {
+    const names = [];
+    for (const modulePath of modulePaths) {
+      const resolved = path.resolve(modulePath);
+      let engine;
+      try {
+        engine = require(resolved);
+      } catch (error) {
+        throw new Error(`Failed to load search engine module ${resolved}: ${error.message}`);
+      }
+      // Re-loading the same module (e.g. a second run in one process) is not a clash
+      if (this.has(engine.name) && this.get(engine.name).modulePath === resolved) {
+        continue;
+      }
+      names.push(this.register({ ...engine, modulePath: resolved }).name);
+    }
+
+    if (names.length > 0) {
+      Logger.info('Custom search engines loaded', { engines: names.join(', ') });
+    }
+    return names;
+  }
+
+  /**
+   * Check whether an engine is registered
+   * @param {string} name - Engine name
+   * @returns {boolean} True when registered
+   */
+  has(name) {
+    return typeof name === 'string' && this.engines.has(name.trim().toLowerCase());
+  }
+
+  /**
+   * Get an engine definition
+   * @param {string} name - Engine name
+   * @returns {Object|null} Engine definition, or null when unknown
+   */
+  get(name) {
+    return this.has(name) ? this.engines.get(name.trim().toLowerCase()) : null;
+  }
+
+  /**
+   * List registered engine names
+   * @returns {Array<string>} Engine names in registration order
+   */
+  list() {
+    return [...this.engines.keys()];
+  }
+
+  /**
+   * Describe engines for reports
+   * @param {Array<string>} names - Engine names (defaults to every registered engine)
+   * @returns {Array<Object>} [{name, label, transport, region, engines}]
+   */
+  describe(names = this.list()) {
+    return names.filter(name => this.has(name)).map(name => {
+      const engine = this.get(name);
+      return {
+        name: engine.name,
+        label: engine.label,
+        transport: engine.transport,
+        region: engine.region,
+        engines: engine.engines || null
+      };
+    });
+  }
+
+  /**
+   * Run an engine's extractor on the HTML of a results page
+   * @param {Object} engine - Engine definition
+   * @param {string} html - Page HTML, as fetched or from page.content()
+   * @param {Object} context - {baseUrl, query, selector, texts}; selector defaults to the first waitForSelectors entry present
+   * @returns {Array} Image URLs
+   * @throws {Error} When the engine waits for result selectors and none is in the page
+   */
+  static extractFromHtml(engine, html, context = {}) {
+    const $ = cheerio.load(html || '');
+    let selector = context.selector || null;
+
+    if (!selector && engine.waitForSelectors && engine.waitForSelectors.length > 0) {
+      selector = engine.waitForSelectors.find(candidate => $(candidate).length > 0) || null;
+      if (!selector) {
+        throw new Error('No product items found with any selector');
+      }
+    }
+
+    return engine.extract($, { ...context, selector }) || [];
+  }
+
+  /**
+   * Check a list of engine names, e.g. config.search.engines
+   * @param {Array<string>} names - Engine names
+   * @param {string} source - Where the list came from, for the error message
+   * @returns {Array<string>} Lower-cased names
+   * @throws {Error} When the list is empty or names an unknown engine
+   */
+  validateEngineList(names, source = 'search.engines') {
+    if (!Array.isArray(names) || names.length === 0) {
+      throw new Error(`${source} must list at least one search engine. Available engines: ${this.list().join(', ')}`);
+    }
+
+    const unknown = names.filter(name => !this.has(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown search engine(s) in ${source}: ${unknown.join(', ')}. Available engines: ${this.list().join(', ')}`);
+    }
+
+    return names.map(name => name.trim().toLowerCase());
+  }
+}
+
+module.exports = EngineRegistry;
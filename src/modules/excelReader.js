@@ -6,22 +6,39 @@
 const XLSX = require('xlsx');
 const path = require('path');
 const fs = require('fs-extra');
+const similarity = require('string-similarity');
 const Logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const InputSource = require('./inputSource');
 const config = require('../config/settings');
 
+// Optional columns copied onto the product as plain attributes (column -> product field)
+const ATTRIBUTE_COLUMNS = {
+  'MPN': 'mpn',
+  'UPC': 'upc',
+  'EAN': 'ean',
+  'Model': 'model',
+  'Category': 'category'
+};
+
 /**
  * Excel Reader class for processing product data
  */
 class ExcelReader {
   /**
    * Create ExcelReader instance
-   * @param {string} filePath - Path to Excel file
+   * @param {string} filePath - Path to an Excel, CSV, JSON or NDJSON file, or '-' for NDJSON on stdin
+   * @param {Object} options - {sheets}: sheet names or wildcards to read (defaults to config.excel.sheets)
    */
-  constructor(filePath) {
+  constructor(filePath, options = {}) {
     this.filePath = filePath;
+    this.sheets = options.sheets || config.excel.sheets || null;
     this.workbook = null;
     this.worksheet = null;
+    this.sheetNames = [];
+    this.sheetName = null;
     this.products = [];
+    this.skippedRows = [];
   }
 
   /**
@@ -33,27 +50,51 @@ class ExcelReader {
       Logger.info('Starting Excel file processing', { file: this.filePath });
       
       // Check if file exists
-      if (!await fs.pathExists(this.filePath)) {
+      if (!InputSource.isStdin(this.filePath) && !await fs.pathExists(this.filePath)) {
         throw new Error(`Excel file not found: ${this.filePath}`);
       }
 
-      // Read the workbook
-      this.workbook = XLSX.readFile(this.filePath);
+      // Read the workbook; JSON and NDJSON records are loaded as sheet rows
+      this.workbook = await InputSource.load(this.filePath);
       
-      // Get the first worksheet
       const sheetNames = this.workbook.SheetNames;
       if (sheetNames.length === 0) {
         throw new Error('No worksheets found in Excel file');
       }
 
-      this.worksheet = this.workbook.Sheets[sheetNames[0]];
+      const { names, strict } = this.selectSheets(sheetNames);
       Logger.info('Excel file loaded successfully', { 
         sheets: sheetNames.length,
-        activeSheet: sheetNames[0]
+        activeSheets: names.join(', ')
       });
 
-      // Parse the data
-      this.products = await this.parseData();
+      // Parse each selected sheet, remembering where every product came from
+      this.products = [];
+      this.sheetNames = [];
+      this.skippedRows = [];
+      for (const sheetName of names) {
+        this.worksheet = this.workbook.Sheets[sheetName];
+        this.sheetName = sheetName;
+        try {
+          const products = await this.parseData();
+          for (const product of products) {
+            product.sourceFile = this.filePath;
+            product.sourceSheet = sheetName;
+          }
+          this.products.push(...products);
+          this.sheetNames.push(sheetName);
+        } catch (error) {
+          // Sheets picked by a wildcard may be notes or pivot tables; named sheets must parse
+          if (strict) {
+            throw error;
+          }
+          Logger.warn('Skipping sheet without product data', {
+            file: this.filePath,
+            sheet: sheetName,
+            error: error.message
+          });
+        }
+      }
       
       Logger.success('Excel parsing completed', { 
         totalProducts: this.products.length 
@@ -66,6 +107,38 @@ class ExcelReader {
     }
   }
 
+  /**
+   * Pick the sheets to read
+   * @param {Array} sheetNames - Sheet names in workbook order
+   * @returns {Object} {names, strict} - selected sheets in workbook order; strict when every sheet was named explicitly
+   * @throws {Error} When a named sheet is missing or nothing matches
+   */
+  selectSheets(sheetNames) {
+    if (!this.sheets || this.sheets.length === 0) {
+      return { names: [sheetNames[0]], strict: true };
+    }
+
+    const selected = new Set();
+    let strict = true;
+    for (const entry of this.sheets) {
+      const pattern = ExcelReader.wildcardToRegExp(entry);
+      const matches = sheetNames.filter(name => pattern.test(name));
+
+      if (/[*?]/.test(entry)) {
+        strict = false;
+      } else if (matches.length === 0) {
+        throw new Error(`Sheet '${entry}' not found in ${this.filePath}. Available sheets: ${sheetNames.join(', ')}`);
+      }
+      matches.forEach(name => selected.add(name));
+    }
+
+    if (selected.size === 0) {
+      throw new Error(`No sheets in ${this.filePath} match '${this.sheets.join(', ')}'. Available sheets: ${sheetNames.join(', ')}`);
+    }
+
+    return { names: sheetNames.filter(name => selected.has(name)), strict };
+  }
+
   /**
    * Parse worksheet data into product objects
    * @returns {Promise<Array>} Array of parsed product objects
@@ -88,6 +161,7 @@ class ExcelReader {
 
       // Validate required columns
       const columnMap = this.validateAndMapColumns(headers);
+      const optionalColumnMap = this.mapOptionalColumns(headers);
       
       // Process data rows
       const products = [];
@@ -95,7 +169,7 @@ class ExcelReader {
       
       for (let i = 1; i < maxRows; i++) {
         const row = jsonData[i];
-        const product = this.parseProductRow(row, columnMap, i + 1);
+        const product = this.parseProductRow(row, columnMap, i + 1, optionalColumnMap);
         
         if (product) {
           products.push(product);
@@ -116,47 +190,291 @@ class ExcelReader {
 
   /**
    * Validate required columns exist and create column mapping
+   * Resolution order: explicit columnMapping, exact/normalized name or alternative, fuzzy match
    * @param {Array} headers - Array of header strings
    * @returns {Object} Column mapping object
    */
   validateAndMapColumns(headers) {
     const columnMap = {};
-    const requiredColumns = config.excel.expectedColumns;
+    const usedIndexes = new Set();
     
-    // Create case-insensitive mapping
-    for (const required of requiredColumns) {
-      const index = headers.findIndex(header => 
-        header && header.toString().toLowerCase().trim() === required.toLowerCase()
-      );
+    for (const required of config.excel.expectedColumns) {
+      const match = this.findColumn(headers, required, usedIndexes, true);
       
-      if (index === -1) {
-        // Try alternative column names
-        const alternatives = this.getAlternativeColumnNames(required);
-        let found = false;
-        
-        for (const alt of alternatives) {
-          const altIndex = headers.findIndex(header => 
-            header && header.toString().toLowerCase().trim() === alt.toLowerCase()
-          );
-          if (altIndex !== -1) {
-            columnMap[required] = altIndex;
-            found = true;
-            break;
-          }
-        }
-        
-        if (!found) {
-          throw new Error(`Required column '${required}' not found in Excel file. Available columns: ${headers.join(', ')}`);
-        }
-      } else {
-        columnMap[required] = index;
+      if (!match) {
+        const mapped = this.getMappedHeader(required);
+        const problem = mapped ?
+          `Column '${mapped}' mapped to '${required}' not found in Excel file.` :
+          `Required column '${required}' not found in Excel file.`;
+        const closest = this.getClosestHeaders(headers, mapped ? [mapped] : this.getColumnNames(required));
+        const suggestion = closest.length > 0 ?
+          ` Closest headers: ${closest.map(c => `'${c.header}' (${(c.score * 100).toFixed(0)}%)`).join(', ')}.` :
+          '';
+        throw new Error(`${problem}${suggestion} Available columns: ${headers.join(', ')}. Map it with --columns "${required}=<header>" or config.excel.columnMapping`);
       }
+
+      if (match.method === 'fuzzy') {
+        Logger.warn('Column matched by fuzzy header comparison', {
+          column: required,
+          header: headers[match.index],
+          score: match.score.toFixed(2)
+        });
+      }
+      columnMap[required] = match.index;
+      usedIndexes.add(match.index);
     }
 
     Logger.info('Column mapping created', columnMap);
     return columnMap;
   }
 
+  /**
+   * Map optional columns that are present in the header row
+   * @param {Array} headers - Array of header strings
+   * @returns {Object} Column mapping for the optional columns found
+   */
+  mapOptionalColumns(headers) {
+    const columnMap = {};
+
+    for (const optional of config.excel.optionalColumns || []) {
+      // No fuzzy matching here: a wrong guess would silently feed unrelated data into the run
+      const match = this.findColumn(headers, optional, new Set(), false);
+      if (match) {
+        columnMap[optional] = match.index;
+      }
+    }
+
+    if (Object.keys(columnMap).length > 0) {
+      Logger.info('Optional columns found', columnMap);
+    }
+    return columnMap;
+  }
+
+  /**
+   * Find the header index for a column
+   * @param {Array} headers - Array of header strings
+   * @param {string} columnName - Standard column name
+   * @param {Set} usedIndexes - Indexes already assigned to other columns
+   * @param {boolean} allowFuzzy - Fall back to fuzzy matching
+   * @returns {Object|null} {index, method, score} or null when not found
+   */
+  findColumn(headers, columnName, usedIndexes, allowFuzzy) {
+    const normalizedHeaders = headers.map(header => ExcelReader.normalizeHeader(header));
+
+    // An explicit mapping wins and never falls back to guessing
+    const mapped = this.getMappedHeader(columnName);
+    if (mapped) {
+      const index = normalizedHeaders.indexOf(ExcelReader.normalizeHeader(mapped));
+      return index === -1 ? null : { index, method: 'mapping', score: 1 };
+    }
+
+    for (const name of this.getColumnNames(columnName)) {
+      const index = normalizedHeaders.findIndex((header, i) =>
+        header && !usedIndexes.has(i) && header === ExcelReader.normalizeHeader(name)
+      );
+      if (index !== -1) {
+        return { index, method: 'exact', score: 1 };
+      }
+    }
+
+    if (!allowFuzzy) {
+      return null;
+    }
+
+    const best = this.getClosestHeaders(headers, this.getColumnNames(columnName))
+      .find(candidate => !usedIndexes.has(candidate.index));
+    if (best && best.score >= config.excel.fuzzyHeaderThreshold) {
+      return { index: best.index, method: 'fuzzy', score: best.score };
+    }
+    return null;
+  }
+
+  /**
+   * Rank headers by similarity to any of the given names
+   * @param {Array} headers - Array of header strings
+   * @param {Array} names - Column names to compare against
+   * @param {number} limit - Maximum number of headers to return
+   * @returns {Array} [{header, index, score}] best first, zero scores omitted
+   */
+  getClosestHeaders(headers, names, limit = 3) {
+    const normalizedNames = names.map(name => ExcelReader.normalizeHeader(name));
+
+    return headers
+      .map((header, index) => {
+        const normalized = ExcelReader.normalizeHeader(header);
+        const score = normalized ?
+          Math.max(...normalizedNames.map(name => similarity.compareTwoStrings(normalized, name))) :
+          0;
+        return { header, index, score };
+      })
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Get the header configured for a column in config.excel.columnMapping
+   * Mapping keys may be written as the column name ('Item ID') or the product field ('itemid')
+   * @param {string} columnName - Standard column name
+   * @returns {string|null} Mapped header
+   */
+  getMappedHeader(columnName) {
+    const target = ExcelReader.normalizeHeader(columnName);
+    for (const [key, header] of Object.entries(config.excel.columnMapping || {})) {
+      if (header && ExcelReader.normalizeHeader(key) === target) {
+        return header.toString();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the standard name of a column followed by its alternatives
+   * @param {string} columnName - Standard column name
+   * @returns {Array} Names to match headers against
+   */
+  getColumnNames(columnName) {
+    return [columnName, ...this.getAlternativeColumnNames(columnName)];
+  }
+
+  /**
+   * Normalize a header for comparison ("Item_ID " and "item id" both become "itemid")
+   * @param {*} header - Header cell value
+   * @returns {string} Normalized header
+   */
+  static normalizeHeader(header) {
+    return (header === undefined || header === null ? '' : header.toString())
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Turn a wildcard pattern ('Supplier *', 'week-??.csv') into a case-insensitive RegExp
+   * @param {string} pattern - Pattern where * matches any text and ? one character
+   * @returns {RegExp} Anchored regular expression
+   */
+  static wildcardToRegExp(pattern) {
+    const source = pattern.toString().trim()
+      .split('')
+      .map(char => {
+        if (char === '*') return '.*';
+        if (char === '?') return '.';
+        return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      })
+      .join('');
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Resolve --input to the list of files to read
+   * Accepts a single file, a directory (every input file in it), a wildcard file name ('inbox/*.xlsx') or '-' for stdin
+   * @param {string} inputPath - Input path
+   * @returns {Promise<Array>} Absolute file paths, sorted by name ('-' for stdin)
+   * @throws {Error} When nothing readable is found
+   */
+  static async resolveInputFiles(inputPath) {
+    if (InputSource.isStdin(inputPath)) {
+      return [InputSource.STDIN];
+    }
+
+    const resolved = path.resolve(inputPath);
+    const extensions = config.excel.inputExtensions;
+    // Skip Excel's ~$ lock files left next to open workbooks
+    const isInputFile = name => extensions.includes(path.extname(name).toLowerCase()) && !name.startsWith('~$');
+
+    const listFiles = async (directory, pattern = null) => {
+      const names = (await fs.readdir(directory))
+        .filter(name => isInputFile(name) && (!pattern || pattern.test(name)))
+        .sort();
+      const files = [];
+      for (const name of names) {
+        const file = path.join(directory, name);
+        if ((await fs.stat(file)).isFile()) {
+          files.push(file);
+        }
+      }
+      return files;
+    };
+
+    if (/[*?]/.test(path.basename(resolved))) {
+      const directory = path.dirname(resolved);
+      if (/[*?]/.test(directory)) {
+        throw new Error(`Wildcards are only supported in the file name: ${inputPath}`);
+      }
+      if (!await fs.pathExists(directory)) {
+        throw new Error(`Input directory not found: ${directory}`);
+      }
+      const files = await listFiles(directory, ExcelReader.wildcardToRegExp(path.basename(resolved)));
+      if (files.length === 0) {
+        throw new Error(`No ${extensions.join('/')} files match ${inputPath}`);
+      }
+      return files;
+    }
+
+    if (!await fs.pathExists(resolved)) {
+      throw new Error(`Input Excel file not found: ${resolved}`);
+    }
+
+    if ((await fs.stat(resolved)).isDirectory()) {
+      const files = await listFiles(resolved);
+      if (files.length === 0) {
+        throw new Error(`No ${extensions.join('/')} files found in directory: ${resolved}`);
+      }
+      return files;
+    }
+
+    return [resolved];
+  }
+
+  /**
+   * Find item IDs used by more than one row, across sheets and files
+   * Product folders and the checkpoint journal are keyed by item ID, so only one row per ID can be processed
+   * @param {Array} products - Products from every source, in read order
+   * @param {string} mode - 'skip' keeps the first row of each ID, 'error' aborts (defaults to config.excel.onDuplicateId)
+   * @returns {Object} {products, collisions: [{itemId, sources: [{file, sheet, row}]}]}
+   * @throws {Error} In 'error' mode when any ID collides
+   */
+  static resolveIdCollisions(products, mode = config.excel.onDuplicateId) {
+    const byId = new Map();
+    for (const product of products) {
+      const itemId = String(product.itemid);
+      if (!byId.has(itemId)) {
+        byId.set(itemId, []);
+      }
+      byId.get(itemId).push(product);
+    }
+
+    const describe = product => ({
+      file: product.sourceFile ? path.basename(product.sourceFile) : null,
+      sheet: product.sourceSheet || null,
+      row: product.rowNumber
+    });
+    const collisions = [...byId.entries()]
+      .filter(([, rows]) => rows.length > 1)
+      .map(([itemId, rows]) => ({ itemId, sources: rows.map(describe) }));
+
+    if (collisions.length === 0) {
+      return { products, collisions };
+    }
+
+    const examples = collisions.slice(0, 5)
+      .map(c => `${c.itemId} (${c.sources.map(s => `${s.file} [${s.sheet}] row ${s.row}`).join(', ')})`)
+      .join('; ');
+
+    if (mode === 'error') {
+      throw new Error(`${collisions.length} item ID(s) appear in more than one row: ${examples}`);
+    }
+
+    Logger.warn('Duplicate item IDs found, keeping the first row of each', {
+      collisions: collisions.length,
+      examples
+    });
+    return {
+      products: products.filter(product => byId.get(String(product.itemid))[0] === product),
+      collisions
+    };
+  }
+
   /**
    * Get alternative column names for flexible matching
    * @param {string} columnName - Standard column name
@@ -164,9 +482,15 @@ class ExcelReader {
    */
   getAlternativeColumnNames(columnName) {
     const alternatives = {
-      'Item ID': ['ItemID', 'Item_ID', 'ID', 'Product ID', 'ProductID', 'SKU'],
-      'Name': ['Product Name', 'ProductName', 'Product_Name', 'Title', 'Description'],
-      'Brand': ['Manufacturer', 'Make', 'Company', 'Vendor', 'Supplier']
+      'Item ID': ['ItemID', 'Item_ID', 'ID', 'Product ID', 'ProductID', 'SKU', 'Item Code', 'Item No', 'Item Number'],
+      'Name': ['Item Name', 'Product Name', 'ProductName', 'Product_Name', 'Item Description', 'Title', 'Description'],
+      'Brand': ['Brand Name', 'Manufacturer', 'Make', 'Company', 'Vendor', 'Supplier'],
+      'Profile': ['Quality Profile', 'QualityProfile', 'Quality_Profile'],
+      'MPN': ['Part Number', 'Part No', 'Manufacturer Part Number', 'Mfr Part No', 'Mfr Part Number', 'PN'],
+      'UPC': ['UPC Code', 'UPC-A'],
+      'EAN': ['EAN Code', 'EAN13', 'EAN-13', 'GTIN', 'Barcode'],
+      'Model': ['Model Number', 'Model No', 'Model Name'],
+      'Category': ['Product Category', 'Item Category', 'Category Name']
     };
 
     return alternatives[columnName] || [];
@@ -177,9 +501,10 @@ class ExcelReader {
    * @param {Array} row - Row data array
    * @param {Object} columnMap - Column mapping
    * @param {number} rowNumber - Row number for logging
+   * @param {Object} optionalColumnMap - Optional column mapping
    * @returns {Object|null} Product object or null if invalid
    */
-  parseProductRow(row, columnMap, rowNumber) {
+  parseProductRow(row, columnMap, rowNumber, optionalColumnMap = {}) {
     try {
       const product = {};
 
@@ -203,9 +528,38 @@ class ExcelReader {
           itemId: product.itemid,
           name: product.name 
         });
+        // Completely blank rows are layout, not lost data
+        if (row.some(cell => cell !== '' && cell !== null && cell !== undefined)) {
+          this.recordSkippedRow(rowNumber, product, !product.itemid ? 'Missing Item ID' : 'Missing Name');
+        }
         return null;
       }
 
+      // Optional per-product quality profile
+      if (optionalColumnMap.Profile !== undefined) {
+        const profile = (row[optionalColumnMap.Profile] || '').toString().trim();
+        const knownProfile = Helpers.isKnownQualityProfile(profile);
+        if (knownProfile) {
+          product.qualityProfile = knownProfile;
+        } else if (profile) {
+          // Kept so InputValidator reports it as a row error (and --strict-input stops)
+          product.unknownQualityProfile = profile;
+          Logger.warn('Unknown quality profile in row, using run default', {
+            row: rowNumber,
+            profile
+          });
+        }
+      }
+
+      // Optional identifying attributes (part numbers, barcodes, model, category)
+      for (const [column, field] of Object.entries(ATTRIBUTE_COLUMNS)) {
+        if (optionalColumnMap[column] === undefined) continue;
+        const value = this.parseAttribute(field, row[optionalColumnMap[column]], rowNumber);
+        if (value) {
+          product[field] = value;
+        }
+      }
+
       // Add metadata
       product.rowNumber = rowNumber;
       product.searchQueries = [];
@@ -218,10 +572,56 @@ class ExcelReader {
         row: rowNumber,
         error: error.message 
       });
+      this.recordSkippedRow(rowNumber, {}, error.message);
       return null;
     }
   }
 
+  /**
+   * Remember a row that was dropped, for the input validation report
+   * @param {number} rowNumber - Row number
+   * @param {Object} product - Fields parsed so far
+   * @param {string} reason - Why the row was skipped
+   */
+  recordSkippedRow(rowNumber, product, reason) {
+    this.skippedRows.push({
+      sourceFile: this.filePath,
+      sourceSheet: this.sheetName,
+      rowNumber,
+      itemid: product.itemid || '',
+      name: product.name || '',
+      brand: product.brand || '',
+      reason
+    });
+  }
+
+  /**
+   * Clean an optional attribute cell
+   * @param {string} field - Product field ('mpn', 'upc', 'ean', 'model', 'category')
+   * @param {*} value - Raw cell value
+   * @param {number} rowNumber - Row number for logging
+   * @returns {string} Cleaned value, or '' when empty/invalid
+   */
+  parseAttribute(field, value, rowNumber) {
+    if (value === undefined || value === null || value === '') {
+      return '';
+    }
+
+    // Barcodes stored as numbers must not go through exponent notation
+    const text = (typeof value === 'number' ? value.toFixed(0) : value.toString()).trim().normalize('NFC');
+
+    if (field === 'upc' || field === 'ean') {
+      const digits = text.replace(/\D/g, '');
+      if (![8, 12, 13, 14].includes(digits.length)) {
+        Logger.warn('Ignoring invalid barcode', { row: rowNumber, field, value: text });
+        return '';
+      }
+      return digits;
+    }
+
+    return text;
+  }
+
   /**
    * Get summary statistics of parsed data
    * @returns {Object} Summary statistics
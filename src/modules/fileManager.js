@@ -7,9 +7,15 @@ const fs = require('fs-extra');
 const path = require('path');
 const Logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
+const InputSource = require('./inputSource');
+const EngineRegistry = require('./engineRegistry');
+const RateLimiter = require('./rateLimiter');
 const config = require('../config/settings');
 const XLSX = require('xlsx');
 
+// Columns appended to the sheets of the annotated input workbook
+const ANNOTATION_HEADERS = ['IMAGE STATUS', 'IMAGE COUNT', 'PRIMARY IMAGE', 'AVG CONFIDENCE', 'SOURCE DOMAIN'];
+
 /**
  * File Manager class for handling file system operations
  */
@@ -202,6 +208,7 @@ class FileManager {
    */
   generateNIFReadme(product) {
     const timestamp = new Date().toISOString();
+    const quality = Helpers.getQualitySettings(product.qualityProfile);
     
     return `No Image Found (NIF) - ${product.itemid}
 
@@ -214,12 +221,16 @@ Search Information:
 - Search Date: ${timestamp}
 - Search Queries Used: ${(product.searchQueries || []).join(', ')}
 - Reason: No suitable images found that meet quality criteria
+- Candidate Report: candidates.json lists every candidate URL with its measurements and the rule it failed (if any candidates were found)
 
 Quality Criteria Applied:
-- Minimum Resolution: ${config.quality.minResolution.join('x')} pixels
-- Preferred Aspect Ratio: ${config.quality.preferredAspectRatio.join(' - ')}
-- Background: Plain/white background preferred
-- File Formats: ${config.quality.allowedFormats.join(', ')}
+- Quality Profile: ${quality.profile}
+- Minimum Resolution: ${quality.minResolution.join('x')} pixels
+- Preferred Aspect Ratio: ${quality.preferredAspectRatio.join(' - ')}
+- Background: ${quality.requirePureWhiteBackground ? `White required (${(quality.whiteBackgroundThreshold * 100).toFixed(0)}% of edge pixels)` : 'Any'}
+- Watermarks: ${quality.allowWatermarks ? 'Allowed' : 'Not allowed'}
+- Minimum Sharpness: ${(quality.minSharpness * 100).toFixed(0)}%
+- Source Formats: ${quality.allowedFormats.join(', ')} (saved as ${config.processing.outputFormat})
 
 This folder was created automatically by the Product Image Search & Download System.
 `;
@@ -291,17 +302,25 @@ This folder was created automatically by the Product Image Search & Download Sys
    * @param {Array} products - Array of product objects
    * @param {Array} downloadResults - Array of download results
    * @param {string} outputDir - Output directory
+   * @param {Array} sessions - Checkpoint journal sessions that contributed to the results
+   * @param {Object} input - Input files/sheets read and item ID collisions found ({sources, idCollisions})
+   * @param {Array} blockPages - CAPTCHA/consent pages met by the search engines (ImageSearch.blockPages)
    * @returns {Promise<string>} Path to summary report
    */
-  async generateSummaryReport(products, downloadResults, outputDir) {
+  async generateSummaryReport(products, downloadResults, outputDir, sessions = [], input = null, blockPages = []) {
     try {
       Logger.info('Generating summary report');
 
       const timestamp = new Date().toISOString();
       const reportData = {
         generatedAt: timestamp,
+        sessions,
+        input: input || { sources: [], idCollisions: [] },
         summary: this.calculateSummaryStats(products, downloadResults),
+        queryTemplates: this.calculateTemplateStats(downloadResults),
         productDetails: this.createProductSummary(products, downloadResults),
+        blockPages: this.calculateBlockPageStats(blockPages),
+        circuitBreakers: RateLimiter.getDefault().getBreakerReport(),
         configuration: this.getConfigurationSummary()
       };
 
@@ -354,21 +373,13 @@ This folder was created automatically by the Product Image Search & Download Sys
 
       for (const product of products) {
         const result = resultMap.get(product.itemid) || { downloaded: 0 };
-        const count = result.downloaded || 0;
-        let status = 'Image found';
-
-        if (product.isNIF || count === 0) {
-          status = 'NIF';
-        } else if (product.isNS || ((product.imageMatchingConfidence || 0) > 0 && (product.imageMatchingConfidence || 0) < 0.7)) {
-          status = 'NS';
-        }
 
         rows.push([
           product.itemid,
           product.name || '',
           product.brand || '',
-          status,
-          count
+          this.getResultStatus(product, result),
+          result.downloaded || 0
         ]);
       }
 
@@ -386,6 +397,218 @@ This folder was created automatically by the Product Image Search & Download Sys
     }
   }
 
+  /**
+   * Write a copy of each input workbook with result columns added to the sheets that were read
+   * Every original sheet, column and row is kept; rows that were not processed get empty result cells.
+   * JSON, NDJSON and stdin inputs have no workbook to copy and are skipped
+   * @param {Array} products - Array of product objects (with sourceFile, sourceSheet and rowNumber)
+   * @param {Array} downloadResults - Array of download results
+   * @param {Array} sources - Input sources read ({file, sheets})
+   * @param {string} outputDir - Output directory (image links are relative to it)
+   * @returns {Promise<Array<string>>} Paths of the annotated workbooks
+   */
+  async generateAnnotatedInput(products, downloadResults, sources, outputDir) {
+    const resultMap = new Map();
+    (downloadResults || []).forEach(r => {
+      resultMap.set(r.itemId, r);
+    });
+
+    const written = [];
+    for (const source of sources) {
+      if (InputSource.getFormat(source.file) !== 'spreadsheet') {
+        Logger.info('Not annotating non-spreadsheet input', { file: source.file });
+        continue;
+      }
+
+      try {
+        const wb = XLSX.readFile(source.file);
+
+        for (const sheetName of source.sheets) {
+          const ws = wb.Sheets[sheetName];
+          const sheetProducts = products.filter(p => p.sourceFile === source.file && p.sourceSheet === sheetName);
+          if (!ws || !ws['!ref']) {
+            continue;
+          }
+
+          const range = XLSX.utils.decode_range(ws['!ref']);
+          const firstColumn = range.e.c + 1;
+          const setCell = (row, offset, cell) => {
+            ws[XLSX.utils.encode_cell({ r: row, c: firstColumn + offset })] = cell;
+          };
+
+          ANNOTATION_HEADERS.forEach((header, offset) => setCell(range.s.r, offset, { t: 's', v: header }));
+
+          for (const product of sheetProducts) {
+            // rowNumber counts from the first row of the sheet's used range, which holds the headers
+            const row = range.s.r + product.rowNumber - 1;
+            const result = resultMap.get(product.itemid) || { downloaded: 0 };
+            const primary = this.getPrimaryImage(product, result);
+
+            setCell(row, 0, { t: 's', v: this.getResultStatus(product, result) });
+            setCell(row, 1, { t: 'n', v: result.downloaded || 0 });
+            if (primary) {
+              setCell(row, 2, { t: 's', v: primary.relativePath, l: { Target: primary.relativePath } });
+              setCell(row, 3, { t: 'n', v: Number((result.averageConfidence || 0).toFixed(2)) });
+              setCell(row, 4, { t: 's', v: primary.domain });
+            }
+          }
+
+          range.e.c = firstColumn + ANNOTATION_HEADERS.length - 1;
+          ws['!ref'] = XLSX.utils.encode_range(range);
+        }
+
+        const annotatedPath = path.join(outputDir, `${path.basename(source.file, path.extname(source.file))}_annotated.xlsx`);
+        XLSX.writeFile(wb, annotatedPath, { bookType: 'xlsx' });
+        written.push(annotatedPath);
+      } catch (error) {
+        Logger.warn('Failed to write annotated input workbook', {
+          file: source.file,
+          error: error.message
+        });
+      }
+    }
+
+    if (written.length > 0) {
+      Logger.success('Annotated input workbooks generated', { files: written.join(', ') });
+    }
+    return written;
+  }
+
+  /**
+   * Get the result status of a product
+   * @param {Object} product - Product object
+   * @param {Object} result - Download result of the product
+   * @returns {string} 'Image found', 'NIF' or 'NS'
+   */
+  getResultStatus(product, result) {
+    const confidence = product.imageMatchingConfidence || 0;
+    if (product.isNIF || !result || !result.downloaded) {
+      return 'NIF';
+    }
+    if (product.isNS || (confidence > 0 && confidence < 0.7)) {
+      return 'NS';
+    }
+    return 'Image found';
+  }
+
+  /**
+   * Get the primary (first downloaded) image of a product
+   * @param {Object} product - Product object
+   * @param {Object} result - Download result of the product
+   * @returns {Object|null} {relativePath, domain}, relative to the output directory; null without images
+   */
+  getPrimaryImage(product, result) {
+    const filePath = result && result.downloadedFiles && result.downloadedFiles[0];
+    if (!filePath) {
+      return null;
+    }
+
+    // The folder may have been renamed to (NS) after download, so rebuild the path from the current folder name
+    const folderName = product.folderName || path.basename(path.dirname(filePath));
+    const validation = (result.validationResults || []).find(v => v.filePath === filePath);
+    let domain = '';
+    try {
+      domain = validation && validation.sourceUrl ? new URL(validation.sourceUrl).hostname.replace(/^www\./, '') : '';
+    } catch (error) {
+      domain = '';
+    }
+
+    return {
+      relativePath: `${folderName}/${path.basename(filePath)}`,
+      domain
+    };
+  }
+
+  /**
+   * Write the input validation report (input_validation.xlsx)
+   * @param {Object} validation - Result of InputValidator.validate
+   * @param {string} reportDir - Directory to write the report to
+   * @returns {Promise<string>} Path to the report
+   */
+  async generateInputValidationReport(validation, reportDir) {
+    const rows = [['SEVERITY', 'CHECK', 'ITEM ID', 'NAME', 'BRAND', 'FILE', 'SHEET', 'ROW', 'MESSAGE']];
+    for (const issue of validation.issues) {
+      rows.push([
+        issue.severity,
+        issue.check,
+        issue.itemId,
+        issue.name,
+        issue.brand,
+        issue.sourceFile,
+        issue.sourceSheet,
+        issue.row,
+        issue.message
+      ]);
+    }
+
+    await fs.ensureDir(reportDir);
+    const wb = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(wb, XLSX.utils.aoa_to_sheet(rows), 'Input Validation');
+
+    const reportPath = path.join(reportDir, 'input_validation.xlsx');
+    XLSX.writeFile(wb, reportPath);
+
+    Logger.info('Input validation report generated', {
+      report: reportPath,
+      errors: validation.errors,
+      warnings: validation.warnings
+    });
+    return reportPath;
+  }
+
+  /**
+   * Generate dry-run report listing the planned queries and candidate URLs per item
+   * @param {Array} entries - Per-item dry-run entries
+   * @param {string} mode - 'dry-run' or 'plan-only'
+   * @param {string} reportDir - Directory to write the report to (must already exist)
+   * @returns {Promise<string>} Path to the text report
+   */
+  async generateDryRunReport(entries, mode, reportDir) {
+    const timestamp = Date.now();
+    const reportData = {
+      generatedAt: new Date(timestamp).toISOString(),
+      mode,
+      totalProducts: entries.length,
+      productsWithCandidates: entries.filter(e => e.candidates.length > 0).length,
+      products: entries
+    };
+
+    const jsonPath = path.join(reportDir, `dry_run_report_${timestamp}.json`);
+    await fs.writeJson(jsonPath, reportData, { spaces: 2 });
+
+    let report = `PRODUCT IMAGE SEARCH & DOWNLOAD SYSTEM - ${mode.toUpperCase()} REPORT
+Generated: ${reportData.generatedAt}
+Products: ${reportData.totalProducts}
+${mode === 'plan-only' ? 'Searches were not run; only the planned queries are listed.' : `Products with Candidates: ${reportData.productsWithCandidates}`}
+No folders were created and no images were downloaded.
+`;
+
+    entries.forEach(entry => {
+      report += `
+Item ID: ${entry.itemId}
+Name: ${entry.name}
+Brand: ${entry.brand || 'N/A'}
+Source: ${entry.sourceFile ? `${entry.sourceFile} [${entry.sourceSheet}]` : 'N/A'}
+Quality Profile: ${entry.qualityProfile}
+Brand Website: ${entry.brandWebsite ? 'Yes' : 'No'}
+Engines: ${entry.engines.join(', ')}
+Queries (${entry.queries.length}):
+${entry.queries.map(q => `  - [${q.engine}] ${q.query}    <- ${q.template}`).join('\n')}
+`;
+      if (mode !== 'plan-only') {
+        report += entry.error ?
+          `Search Error: ${entry.error}\n` :
+          `Candidates (${entry.candidates.length}):\n${entry.candidates.map(c => `  - [${c.source}] ${c.url}`).join('\n')}\n`;
+      }
+    });
+
+    const textPath = path.join(reportDir, `dry_run_report_${timestamp}.txt`);
+    await fs.writeFile(textPath, report, 'utf8');
+
+    Logger.success('Dry-run report generated', { textReport: textPath, jsonReport: jsonPath });
+    return textPath;
+  }
+
   /**
    * Calculate summary statistics
    * @param {Array} products - Array of products
@@ -428,6 +651,58 @@ This folder was created automatically by the Product Image Search & Download Sys
     return stats;
   }
 
+  /**
+   * Count candidates and accepted images per engine and query template
+   * @param {Array} downloadResults - Array of download results
+   * @returns {Array} [{engine, template, candidates, attempted, accepted, acceptRate}], best templates first
+   */
+  calculateTemplateStats(downloadResults) {
+    const stats = new Map();
+
+    downloadResults.forEach(result => {
+      (result.templateResults || []).forEach(({ engine, template, status }) => {
+        const key = `${engine}\u0000${template}`;
+        if (!stats.has(key)) {
+          stats.set(key, { engine, template, candidates: 0, attempted: 0, accepted: 0, acceptRate: 0 });
+        }
+        const entry = stats.get(key);
+        entry.candidates++;
+        if (status !== 'skipped') {
+          entry.attempted++;
+        }
+        if (status === 'accepted') {
+          entry.accepted++;
+        }
+      });
+    });
+
+    return [...stats.values()]
+      .map(entry => ({ ...entry, acceptRate: entry.attempted > 0 ? Number((entry.accepted / entry.attempted).toFixed(3)) : 0 }))
+      .sort((a, b) => b.accepted - a.accepted || b.acceptRate - a.acceptRate);
+  }
+
+  /**
+   * Count block pages per engine and kind
+   * @param {Array} blockPages - [{engine, kind, signature, url, query, snapshot, detectedAt}]
+   * @returns {Object} {total, counts: [{engine, kind, count}], events}
+   */
+  calculateBlockPageStats(blockPages = []) {
+    const counts = new Map();
+    blockPages.forEach(({ engine, kind }) => {
+      const key = `${engine}\u0000${kind}`;
+      if (!counts.has(key)) {
+        counts.set(key, { engine, kind, count: 0 });
+      }
+      counts.get(key).count++;
+    });
+
+    return {
+      total: blockPages.length,
+      counts: [...counts.values()].sort((a, b) => b.count - a.count),
+      events: blockPages
+    };
+  }
+
   /**
    * Create product summary
    * @param {Array} products - Array of products
@@ -451,6 +726,10 @@ This folder was created automatically by the Product Image Search & Download Sys
         imagesFailed: result.failed || 0,
         qualityRejected: result.qualityRejected || 0,
         isNIF: product.isNIF || false,
+        sourceFile: product.sourceFile ? path.basename(product.sourceFile) : null,
+        sourceSheet: product.sourceSheet || null,
+        sourceRow: product.rowNumber || null,
+        qualityProfile: product.qualityProfile || config.quality.profile,
         searchQueries: product.searchQueries || []
       };
     });
@@ -461,15 +740,19 @@ This folder was created automatically by the Product Image Search & Download Sys
    * @returns {Object} Configuration summary
    */
   getConfigurationSummary() {
+    const quality = Helpers.getQualitySettings();
     return {
       searchEngines: config.search.engines,
+      engineDetails: EngineRegistry.getDefault().describe(config.search.engines),
       maxImagesPerItem: config.search.maxImagesPerItem,
+      qualityProfile: quality.profile,
       qualityCriteria: {
-        minResolution: config.quality.minResolution,
-        preferredAspectRatio: config.quality.preferredAspectRatio,
-        allowedFormats: config.quality.allowedFormats,
-        minFileSize: Helpers.formatBytes(config.quality.minFileSize),
-        maxFileSize: Helpers.formatBytes(config.quality.maxFileSize)
+        minResolution: quality.minResolution,
+        preferredAspectRatio: quality.preferredAspectRatio,
+        allowedFormats: quality.allowedFormats,
+        outputFormat: config.processing.outputFormat,
+        minFileSize: Helpers.formatBytes(quality.minFileSize),
+        maxFileSize: Helpers.formatBytes(quality.maxFileSize)
       },
       downloadSettings: {
         concurrentDownloads: config.download.concurrentDownloads,
@@ -486,8 +769,15 @@ This folder was created automatically by the Product Image Search & Download Sys
   formatSummaryReport(reportData) {
     const { summary, productDetails, configuration } = reportData;
     
+    const sessions = reportData.sessions || [];
+    const queryTemplates = reportData.queryTemplates || [];
+    const input = reportData.input || { sources: [], idCollisions: [] };
+    const circuitBreakers = reportData.circuitBreakers || [];
+    const blockPages = reportData.blockPages || { total: 0, counts: [] };
+    
     let report = `PRODUCT IMAGE SEARCH & DOWNLOAD SYSTEM - SUMMARY REPORT
 Generated: ${reportData.generatedAt}
+Sessions: ${Math.max(1, sessions.length)}${sessions.length > 1 ? ` (resumed; first started ${sessions[0].startedAt})` : ''}
 
 OVERALL STATISTICS
 ==================
@@ -500,15 +790,38 @@ Total Images Rejected (Quality): ${summary.totalQualityRejected}
 Average Images per Product: ${summary.averageImagesPerProduct}
 Overall Success Rate: ${summary.successRate}
 
+INPUT SOURCES
+=============
+${input.sources.map(s => `${path.basename(s.file)} [${s.sheets.join(', ')}]: ${s.products} products`).join('\n') || 'Not recorded'}
+Duplicate Item IDs: ${input.idCollisions.length}${input.idCollisions.map(c => `\n  - ${c.itemId}: ${c.sources.map(s => `${s.file} [${s.sheet}] row ${s.row}`).join(', ')}`).join('')}
+
 CONFIGURATION USED
 ==================
-Search Engines: ${configuration.searchEngines.join(', ')}
+Search Engines: ${configuration.engineDetails.map(e => `${e.name} (${e.transport}, ${e.region})`).join(', ')}
 Max Images per Item: ${configuration.maxImagesPerItem}
+Quality Profile: ${configuration.qualityProfile}
 Minimum Resolution: ${configuration.qualityCriteria.minResolution.join('x')}
 Allowed Formats: ${configuration.qualityCriteria.allowedFormats.join(', ')}
+Output Format: ${configuration.qualityCriteria.outputFormat}
 Concurrent Downloads: ${configuration.downloadSettings.concurrentDownloads}
 Retry Attempts: ${configuration.downloadSettings.retryAttempts}
 
+QUERY TEMPLATES
+===============
+${queryTemplates.length > 0
+    ? queryTemplates.map(t => `${t.engine} | ${t.template} | accepted ${t.accepted}/${t.attempted} (${(t.acceptRate * 100).toFixed(1)}%), ${t.candidates} candidates`).join('\n')
+    : 'No search engine candidates'}
+
+BLOCK PAGES (CAPTCHA / CONSENT / UNUSUAL TRAFFIC)
+=================================================
+Total: ${blockPages.total}${blockPages.counts.map(c => `\n  - ${c.engine} | ${c.kind}: ${c.count}`).join('')}
+
+CIRCUIT BREAKERS
+================
+${circuitBreakers.length > 0
+    ? circuitBreakers.map(b => `${b.type} ${b.name} | tripped ${b.trips}x since ${b.firstTrippedAt} | last reason: ${b.lastReason} | ${b.state === 'open' ? `suspended until ${b.suspendedUntil}` : 'recovered'}`).join('\n')
+    : 'None tripped'}
+
 PRODUCT DETAILS
 ===============
 `;
@@ -518,10 +831,12 @@ PRODUCT DETAILS
 Item ID: ${product.itemId}
 Name: ${product.name}
 Brand: ${product.brand}
+Source: ${product.sourceFile ? `${product.sourceFile} [${product.sourceSheet}] row ${product.sourceRow}` : 'N/A'}
 Folder: ${product.folderName}
 Images Downloaded: ${product.imagesDownloaded}
 Images Failed: ${product.imagesFailed}
 Quality Rejected: ${product.qualityRejected}
+Quality Profile: ${product.qualityProfile}
 Status: ${product.isNIF ? 'No Image Found (NIF)' : 'Processed'}
 Search Queries: ${product.searchQueries.join(' | ')}
 `;
@@ -617,6 +932,7 @@ Search Queries: ${product.searchQueries.join(' | ')}
   generateNSReadme(product) {
     const timestamp = new Date().toISOString();
     const confidence = product.imageMatchingConfidence || 0;
+    const quality = Helpers.getQualitySettings(product.qualityProfile);
     
     return `Not Sure (NS) - Image Matching Confidence Below 70% - ${product.itemid}
 
@@ -635,9 +951,10 @@ The images in this folder may not accurately represent the specified product.
 Manual verification is recommended before using these images.
 
 Quality Criteria Applied:
-- Pure White Background: Required
-- Image Size: 500x500 to 1200x1200 pixels (square only)
-- No Watermarks: Required
+- Quality Profile: ${quality.profile}
+- Pure White Background: ${quality.requirePureWhiteBackground ? 'Required' : 'Not required'}
+- Image Size: ${quality.minResolution.join('x')} to ${quality.maxResolution.join('x')} pixels${quality.strictSquareOnly ? ' (square only)' : ''}
+- No Watermarks: ${quality.allowWatermarks ? 'Not required' : 'Required'}
 - Image-Product Match: Below 70% confidence
 
 This folder was created automatically by the Product Image Search & Download System.
@@ -39,7 +39,7 @@ async function getImageHash(imagePath) {
  * @returns {Promise<number>} Number of duplicates removed
  */
 async function removeDuplicates(folderPath) {
-  const files = fs.readdirSync(folderPath).filter(f => f.match(/\.(jpg|jpeg|png)$/i));
+  const files = fs.readdirSync(folderPath).filter(f => f.match(/\.(jpg|jpeg|png|webp)$/i));
   const hashes = {};
   let removed = 0;
   for (const file of files) {
@@ -4,14 +4,22 @@
  */
 
 const axios = require('axios');
-const cheerio = require('cheerio');
+const path = require('path');
+const fs = require('fs-extra');
 const puppeteer = require('puppeteer');
 const sharp = require('sharp');
 const pixelmatch = require('pixelmatch');
 const Logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
+const NameNormalizer = require('../utils/nameNormalizer');
 const config = require('../config/settings');
 const BrandWebsiteScraper = require('./brandWebsiteScraper');
+const QueryStrategy = require('./queryStrategy');
+const EngineRegistry = require('./engineRegistry');
+const SearchCache = require('./searchCache');
+const RateLimiter = require('./rateLimiter');
+const BlockPageDetector = require('./blockPageDetector');
+const BlockPageError = require('./blockPageError');
 
 /**
  * Image Search class for finding product images
@@ -24,10 +32,15 @@ class ImageSearch {
     this.browser = null;
     this.axiosInstance = this.createAxiosInstance();
     this.downloadedImages = new Map(); // Track downloaded images to prevent duplicates
+    this.imageTexts = new Map(); // Alt/title text the results pages show for each image URL
     this.imageHashes = new Set(); // Store image hashes for duplicate detection
     this.userAgents = this.initUserAgents(); // User agent rotation for anti-detection
     this.currentUserAgentIndex = 0;
     this.brandScraper = new BrandWebsiteScraper(Logger, config); // Official brand website scraper
+    this.engines = EngineRegistry.getDefault(); // Search engines by name
+    this.searchCache = new SearchCache(); // Engine results kept on disk between runs
+    this.limiter = RateLimiter.getDefault(); // Per-host throttling and circuit breakers, shared with downloads
+    this.blockPages = []; // CAPTCHA, consent and "unusual traffic" pages met during the run
   }
 
   /**
@@ -164,18 +177,24 @@ class ImageSearch {
       });
 
       let allImageUrls = [];
+      const imageSources = new Map(); // First source that returned each URL
+      const imageQueries = new Map(); // Engine, template and query that first returned each URL
+      product.imageSources = {};
+      product.imageQueries = {};
+      product.imageTexts = {};
       
       // PRIORITY 1: Search official brand website FIRST (Highest Quality & Authenticity)
-      if (product.brand && product.brand !== 'NONE') {
+      if (!NameNormalizer.isUnbranded(product.brand)) {
         try {
           Logger.info(`🏢 PRIORITY: Searching official ${product.brand} website first`, {
             itemId: product.itemid,
             brand: product.brand
           });
           
-          const brandImages = await this.brandScraper.searchBrandWebsite(product.name, product.brand);
+          const brandImages = await this.searchBrandWebsiteCached(product);
           if (brandImages && brandImages.length > 0) {
             allImageUrls = allImageUrls.concat(brandImages);
+            this.recordImageSources(imageSources, brandImages, 'brand-website');
             Logger.success(`🏢 Found ${brandImages.length} images from official ${product.brand} website`, {
               itemId: product.itemid,
               brand: product.brand,
@@ -192,6 +211,7 @@ class ImageSearch {
               const uniqueUrls = [...new Set(allImageUrls)];
               const filteredUrls = this.filterImageUrls(uniqueUrls);
               const limitedUrls = filteredUrls.slice(0, config.search.maxImagesPerItem);
+              product.imageSources = Object.fromEntries(imageSources);
               
               Logger.success('Brand website search completed', { 
                 itemId: product.itemid,
@@ -217,49 +237,57 @@ class ImageSearch {
         brandImagesFound: allImageUrls.length
       });
 
-      // Generate search queries
-      const queries = Helpers.generateSearchQueries(product);
-      product.searchQueries = queries;
+      // Build the per-engine query plan from the configured templates
+      const plan = new QueryStrategy().buildPlan(product, config.search.engines);
+      product.searchQueries = [...new Set(plan.map(step => step.query))];
+      const earlyStopImages = config.search.earlyStopImages || 0;
       
-      // Search with each query across enabled engines
-      for (const query of queries) {
-        for (const engine of config.search.engines) {
-          try {
-            Logger.info('Searching with query', { 
-              itemId: product.itemid,
-              engine,
-              query 
-            });
+      // Run each engine's first query, then each engine's second, ... until enough images are found
+      for (let i = 0; i < plan.length; i++) {
+        const { engine, template, query } = plan[i];
 
-            const urls = await this.searchByEngineWithRetry(engine, query, product.itemid);
-            if (urls && urls.length > 0) {
-              allImageUrls = allImageUrls.concat(urls);
-              Logger.success(`Found ${urls.length} images from ${engine}`, { 
-                itemId: product.itemid,
-                engine,
-                count: urls.length 
-              });
-            } else {
-              Logger.warn(`No images found from ${engine}`, { 
-                itemId: product.itemid,
-                engine 
-              });
-            }
+        const usableCount = this.filterImageUrls([...new Set(allImageUrls)]).length;
+        if (earlyStopImages > 0 && usableCount >= earlyStopImages) {
+          Logger.info('Enough images found, skipping remaining queries', {
+            itemId: product.itemid,
+            found: usableCount,
+            skippedQueries: plan.length - i
+          });
+          break;
+        }
+
+        try {
+          Logger.info('Searching with query', { 
+            itemId: product.itemid,
+            engine,
+            template,
+            query 
+          });
 
-            // Add delay between engines
-            await Helpers.sleep(config.search.delayBetweenEngines);
-          } catch (error) {
-            Logger.warn('Search engine request failed', { 
+          const urls = await this.searchByEngineWithRetry(engine, query, product.itemid);
+          if (urls && urls.length > 0) {
+            allImageUrls = allImageUrls.concat(urls);
+            this.recordImageSources(imageSources, urls, engine);
+            this.recordImageSources(imageQueries, urls, { engine, template, query });
+            Logger.success(`Found ${urls.length} images from ${engine}`, { 
               itemId: product.itemid,
               engine,
-              query,
-              error: error.message 
+              count: urls.length 
+            });
+          } else {
+            Logger.warn(`No images found from ${engine}`, { 
+              itemId: product.itemid,
+              engine 
             });
           }
+        } catch (error) {
+          Logger.warn('Search engine request failed', { 
+            itemId: product.itemid,
+            engine,
+            query,
+            error: error.message 
+          });
         }
-        
-        // Add delay between queries
-        await Helpers.sleep(config.search.delayBetweenRequests);
       }
 
       // Remove duplicates and filter
@@ -268,6 +296,10 @@ class ImageSearch {
       
       // Limit to max images per item
       const limitedUrls = filteredUrls.slice(0, config.search.maxImagesPerItem);
+      product.imageSources = Object.fromEntries(imageSources);
+      product.imageQueries = Object.fromEntries(imageQueries);
+      // Result titles travel with the candidates, so the validator can look for part numbers in them
+      product.imageTexts = this.getImageTexts(limitedUrls);
 
       Logger.success('Image search completed', { 
         itemId: product.itemid,
@@ -287,6 +319,64 @@ class ImageSearch {
     }
   }
 
+  /**
+   * Remember which source first returned each image URL
+   * @param {Map} imageSources - Map of URL to source
+   * @param {Array} urls - Image URLs returned by the source
+   * @param {string|Object} source - Engine name or 'brand-website', or the {engine, template, query} step
+   */
+  recordImageSources(imageSources, urls, source) {
+    for (const url of urls) {
+      if (!imageSources.has(url)) {
+        imageSources.set(url, source);
+      }
+    }
+  }
+
+  /**
+   * Search the official brand website through the search cache
+   * Cached like an engine named 'brand-website', with the brand as region and the search terms as query,
+   * so --cache-only runs never launch the brand scraper
+   * @param {Object} product - Product object
+   * @returns {Promise<Array>} Array of image URLs
+   */
+  async searchBrandWebsiteCached(product) {
+    const identifiers = Helpers.getProductIdentifiers(product);
+    const brand = product.brand.toString().normalize('NFC').toUpperCase();
+    const query = this.brandScraper.getSearchTerms(product.name, identifiers).join(' | ');
+
+    const cached = await this.searchCache.get('brand-website', query, brand);
+    if (cached) {
+      Logger.info('Brand website results from cache', { itemId: product.itemid, brand, results: cached.urls.length });
+      return cached.urls;
+    }
+    if (this.searchCache.mode === 'only') {
+      Logger.info('No cached brand website results (--cache-only)', { itemId: product.itemid, brand });
+      return [];
+    }
+
+    const urls = await this.brandScraper.searchBrandWebsite(product.name, product.brand, identifiers);
+    if (urls && urls.length > 0) {
+      await this.searchCache.set('brand-website', query, brand, urls);
+    }
+    return urls;
+  }
+
+  /**
+   * Get the result page text recorded for image URLs
+   * @param {Array} urls - Image URLs
+   * @returns {Object} URL -> alt/title text, for the URLs that have any
+   */
+  getImageTexts(urls) {
+    const texts = {};
+    for (const url of urls) {
+      if (this.imageTexts.get(url)) {
+        texts[url] = this.imageTexts.get(url);
+      }
+    }
+    return texts;
+  }
+
   /**
    * Search by engine with retry logic
    * @param {string} engine - Search engine name
@@ -295,9 +385,32 @@ class ImageSearch {
    * @returns {Promise<Array>} Array of image URLs
    */
   async searchByEngineWithRetry(engine, query, itemId) {
+    const region = this.engines.has(engine) ? this.engines.get(engine).region : 'global';
+    const cached = await this.searchCache.get(engine, query, region);
+    if (cached) {
+      Logger.info('Search results from cache', {
+        itemId,
+        engine,
+        results: cached.urls.length,
+        cachedAt: cached.cachedAt
+      });
+      Object.entries(cached.texts).forEach(([url, text]) => this.imageTexts.set(url, text));
+      return cached.urls;
+    }
+    if (this.searchCache.mode === 'only') {
+      Logger.info('No cached search results (--cache-only)', { itemId, engine });
+      return [];
+    }
+
     let lastError = null;
     
     for (let attempt = 1; attempt <= config.search.retryAttempts; attempt++) {
+      // Only peek here: runEngine claims the trial request of a half-open breaker
+      if (this.limiter.isSuspended('engine', engine)) {
+        Logger.warn('Search engine suspended by circuit breaker, skipping', { itemId, engine });
+        return [];
+      }
+
       try {
         Logger.info(`Search attempt ${attempt}/${config.search.retryAttempts}`, { 
           itemId, 
@@ -308,6 +421,8 @@ class ImageSearch {
         const urls = await this.searchByEngine(engine, query);
         
         if (urls && urls.length > 0) {
+          // Only non-empty results are cached, so a blocked or failed search is retried next run
+          await this.searchCache.set(engine, query, region, urls, this.getImageTexts(urls));
           return urls;
         } else if (attempt === config.search.retryAttempts) {
           Logger.warn(`No results after ${attempt} attempts`, { 
@@ -325,7 +440,8 @@ class ImageSearch {
           error: error.message 
         });
         
-        if (attempt < config.search.retryAttempts) {
+        // No point waiting to retry an engine a CAPTCHA page has just suspended
+        if (attempt < config.search.retryAttempts && !this.limiter.isSuspended('engine', engine)) {
           // Exponential backoff
           const delay = Math.min(30000, 2000 * Math.pow(2, attempt - 1));
           Logger.info(`Retrying in ${delay}ms`, { itemId, engine });
@@ -343,586 +459,230 @@ class ImageSearch {
   }
 
   /**
-   * Search images using specific engine
+   * Search images using a registered engine
    * @param {string} engine - Search engine name
    * @param {string} query - Search query
    * @returns {Promise<Array>} Array of image URLs
    */
   async searchByEngine(engine, query) {
-    switch (engine.toLowerCase()) {
-      case 'google':
-        return await this.searchGoogle(query);
-      case 'bing':
-        return await this.searchBing(query);
-      case 'shopee':
-        return await this.searchShopee(query);
-      case 'lazada':
-        return await this.searchLazada(query);
-      case 'ebay':
-        return await this.searchEbay(query);
-      case 'shopping':
-        return await this.searchShoppingSites(query);
-      case 'amazon':
-        return await this.searchAmazon(query);
-      case 'hardware':
-        return await this.searchHardware(query);
-      default:
-        Logger.warn('Unknown search engine', { engine });
-        return [];
-    }
-  }
-
-  /**
-   * Search Amazon for product images
-   * @param {string} query - Search query
-   * @returns {Promise<Array>} Array of image URLs
-   */
-  async searchAmazon(query) {
-    try {
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
-      try {
-        await page.setUserAgent(config.search.userAgent);
-        // Amazon search URL (default to .com, can be adjusted for region)
-        const searchUrl = `https://www.amazon.com/s?k=${encodeURIComponent(query)}`;
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: config.search.searchTimeout });
-
-        // Wait for product results to load
-        await page.waitForSelector('div.s-main-slot', { timeout: config.search.selectorTimeout });
-
-        // Extract image URLs from product listings
-        const imageUrls = await page.evaluate(() => {
-          const images = [];
-          // Amazon product images in search results
-          const imgElements = document.querySelectorAll('div.s-main-slot img.s-image');
-          
-          imgElements.forEach(img => {
-            if (img.src && img.src.startsWith('http')) {
-              // Better URL transformation for 600-1200px range - preserve aspect ratio
-              let url = img.src
-                .replace('._AC_UY218_', '._AC_SL1200_') // Use SL1200 for better resolution
-                .replace('._AC_UX218_', '._AC_SL1200_')
-                .replace('._SY300_', '._SL1200_') // Scale to 1200px maintaining aspect ratio
-                .replace('._SX300_', '._SL1200_')
-                .replace('._AC_UL320_', '._AC_SL1200_') // Convert existing small sizes
-                .replace('._AC_UL200_', '._AC_SL1200_')
-                .replace('._AC_SL800_', '._AC_SL1200_') // Upgrade existing 800px to 1200px
-                .replace('._AC_SL1000_', '._AC_SL1200_'); // Upgrade existing 1000px to 1200px
-              
-              // If no size modifier found, add one to get 1200px quality
-              if (!url.includes('._AC_SL') && !url.includes('._SL')) {
-                const extension = url.match(/\.[^.]*$/)?.[0] || '';
-                if (extension) {
-                  url = url.replace(extension, `._AC_SL1200_${extension}`);
-                }
-              }
-              
-              images.push(url);
-            }
-          });
-          
-          return images;
-        });
-
-        return imageUrls.slice(0, 20); // Limit results
-      } finally {
-        await page.close();
-      }
-    } catch (error) {
-      Logger.warn('Amazon search failed', { query, error: error.message });
+    const definition = this.engines.get(engine);
+    if (!definition) {
+      Logger.warn('Unknown search engine', { engine });
       return [];
     }
+    return await this.runEngine(definition, query);
   }
 
   /**
-   * Search Hardware shops for product images
+   * Run an engine definition with its transport
+   * @param {Object} engine - Engine definition from the registry
    * @param {string} query - Search query
    * @returns {Promise<Array>} Array of image URLs
    */
-  async searchHardware(query) {
-    try {
-      // Search multiple hardware shop sites in parallel
-      const searchPromises = [
-        this.searchMrDIY(query),
-        this.searchAceHardware(query),
-        this.searchHomeDepot(query)
-      ];
-      
-      const results = await Promise.allSettled(searchPromises);
-      let allUrls = [];
-      
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          allUrls = allUrls.concat(result.value);
-        } else {
-          const sites = ['MrDIY', 'Ace Hardware', 'Home Depot'];
-          Logger.warn(`${sites[index]} search failed`, { 
-            query, 
-            error: result.reason.message 
-          });
-        }
-      });
-      
-      return allUrls;
-    } catch (error) {
-      Logger.warn('Hardware shops search failed', { query, error: error.message });
+  async runEngine(engine, query) {
+    if (engine.transport === 'group') {
+      return await this.runEngineGroup(engine, query);
+    }
+    if (this.limiter.isOpen('engine', engine.name)) {
+      Logger.warn(`${engine.label} suspended by circuit breaker`, { query });
       return [];
     }
-  }
 
-  /**
-   * Search MrDIY for product images
-   * @param {string} query - Search query
-   * @returns {Promise<Array>} Array of image URLs
-   */
-  async searchMrDIY(query) {
     try {
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
-      try {
-        await page.setUserAgent(config.search.userAgent);
-        // MrDIY Malaysia search URL
-        const searchUrl = `https://mrdiy.com.my/search?q=${encodeURIComponent(query)}`;
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-
-        // Extract image URLs from product listings
-        const imageUrls = await page.evaluate(() => {
-          const images = [];
-          const imgElements = document.querySelectorAll('.product-item img, .product-image img');
-          
-          imgElements.forEach(img => {
-            if (img.src && img.src.startsWith('http')) {
-              // Convert to higher resolution if possible
-              let url = img.src.replace('_200x200', '_800x800').replace('_300x300', '_800x800');
-              images.push(url);
-            }
-          });
-          
-          return images;
-        });
-
-        return imageUrls.slice(0, 15); // Limit results
-      } finally {
-        await page.close();
-      }
+      const urls = engine.transport === 'http'
+        ? await this.fetchWithHttp(engine, query)
+        : await this.fetchWithBrowser(engine, query);
+      this.limiter.recordSuccess('engine', engine.name);
+      return engine.maxResults ? urls.slice(0, engine.maxResults) : urls;
     } catch (error) {
-      Logger.warn('MrDIY search failed', { query, error: error.message });
+      Logger.warn(`${engine.label} search failed`, { query, error: error.message });
+      // Only failures that say something about the engine count: network, 429, 5xx and CAPTCHA pages
+      const reason = RateLimiter.classifyFailure(error);
+      if (reason) {
+        this.limiter.recordFailure('engine', engine.name, reason, error.message);
+      } else {
+        this.limiter.releaseTrial('engine', engine.name);
+      }
+      // Block pages go on to searchByEngineWithRetry, which backs off before trying again
+      if (error instanceof BlockPageError) {
+        throw error;
+      }
       return [];
     }
   }
 
   /**
-   * Search Ace Hardware for product images
+   * Run the member engines of a group in parallel
+   * @param {Object} engine - Group engine definition
    * @param {string} query - Search query
-   * @returns {Promise<Array>} Array of image URLs
+   * @returns {Promise<Array>} Image URLs of every member, in member order
    */
-  async searchAceHardware(query) {
-    try {
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
-      try {
-        await page.setUserAgent(config.search.userAgent);
-        // Ace Hardware search URL
-        const searchUrl = `https://www.acehardware.com/search?query=${encodeURIComponent(query)}`;
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
+  async runEngineGroup(engine, query) {
+    const members = engine.engines.map(name => this.engines.get(name));
+    const results = await Promise.allSettled(members.map(member => this.runEngine(member, query)));
+    let allUrls = [];
 
-        // Extract image URLs from product listings
-        const imageUrls = await page.evaluate(() => {
-          const images = [];
-          const imgElements = document.querySelectorAll('.product-tile img, .product-image img');
-          
-          imgElements.forEach(img => {
-            if (img.src && img.src.startsWith('http')) {
-              images.push(img.src);
-            }
-          });
-          
-          return images;
+    results.forEach((result, index) => {
+      if (result.status === 'fulfilled') {
+        allUrls = allUrls.concat(result.value);
+      } else {
+        Logger.warn(`${members[index].label} search failed`, {
+          query,
+          error: result.reason.message
         });
-
-        return imageUrls.slice(0, 15); // Limit results
-      } finally {
-        await page.close();
       }
-    } catch (error) {
-      Logger.warn('Ace Hardware search failed', { query, error: error.message });
-      return [];
-    }
+    });
+
+    return allUrls;
   }
 
   /**
-   * Search Home Depot for product images
+   * Fetch a results page over HTTP and extract it
+   * @param {Object} engine - HTTP engine definition
    * @param {string} query - Search query
    * @returns {Promise<Array>} Array of image URLs
    */
-  async searchHomeDepot(query) {
-    try {
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
-      try {
-        await page.setUserAgent(config.search.userAgent);
-        // Home Depot search URL
-        const searchUrl = `https://www.homedepot.com/s/${encodeURIComponent(query)}`;
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-
-        // Extract image URLs from product listings
-        const imageUrls = await page.evaluate(() => {
-          const images = [];
-          const imgElements = document.querySelectorAll('.product-pod img, .product-image img');
-          
-          imgElements.forEach(img => {
-            if (img.src && img.src.startsWith('http')) {
-              images.push(img.src);
-            }
-          });
-          
-          return images;
-        });
-
-        return imageUrls.slice(0, 15); // Limit results
-      } finally {
-        await page.close();
-      }
-    } catch (error) {
-      Logger.warn('Home Depot search failed', { query, error: error.message });
-      return [];
-    }
+  async fetchWithHttp(engine, query) {
+    const url = engine.buildUrl(query);
+    const response = await this.limiter.request(url, () => this.axiosInstance.get(url));
+    await this.recordResultsPage(engine, query, response.data);
+    return EngineRegistry.extractFromHtml(engine, response.data, { query, baseUrl: url, texts: this.imageTexts });
   }
 
   /**
-   * Search Google Images
+   * Load a results page in the browser and extract it
+   * @param {Object} engine - Browser engine definition
    * @param {string} query - Search query
    * @returns {Promise<Array>} Array of image URLs
    */
-  async searchGoogle(query) {
+  async fetchWithBrowser(engine, query) {
+    await this.initBrowser();
+    const page = await this.browser.newPage();
+
     try {
-      // Add image size parameter for larger images (600x600+)
-      const searchUrl = `https://www.google.com/search?q=${encodeURIComponent(query)}&tbm=isch&safe=off&tbs=isz:l`; // isz:l = large images
-      
-      // Use browser for Google search to handle JavaScript
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
-      try {
+      if (engine.stealth) {
+        await this.configurePageForSearch(page);
+      } else {
         await page.setUserAgent(config.search.userAgent);
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 30000 });
-        
-        // Extract image URLs from the page
-        const imageUrls = await page.evaluate(() => {
-          const images = [];
-          const imgElements = document.querySelectorAll('img[src]');
-          
-          imgElements.forEach(img => {
-            const src = img.src;
-            if (src && src.startsWith('http') && !src.includes('google.com')) {
-              images.push(src);
-            }
-          });
-          
-          return images;
-        });
-        
-        return imageUrls;
-      } finally {
-        await page.close();
       }
-    } catch (error) {
-      Logger.warn('Google search failed', { query, error: error.message });
-      return [];
-    }
-  }
-
-  /**
-   * Search Bing Images
-   * @param {string} query - Search query
-   * @returns {Promise<Array>} Array of image URLs
-   */
-  async searchBing(query) {
-    try {
-      const searchUrl = `https://www.bing.com/images/search?q=${encodeURIComponent(query)}&form=HDRSC2`;
-      
-      const response = await this.axiosInstance.get(searchUrl);
-      const $ = cheerio.load(response.data);
-      
-      const imageUrls = [];
-      
-      // Extract image URLs from Bing results
-      $('.iusc').each((i, element) => {
-        try {
-          const dataStr = $(element).attr('m');
-          if (dataStr) {
-            const data = JSON.parse(dataStr);
-            if (data.murl) {
-              imageUrls.push(data.murl);
-            }
+      const url = engine.buildUrl(query);
+      await this.limiter.request(url, async () => {
+        const response = await page.goto(url, {
+          waitUntil: 'domcontentloaded',
+          timeout: engine.navigationTimeout || config.search.searchTimeout
+        });
+        // Robot checks often come with a 429/403, so look for one before the status
+        const status = response ? response.status() : null;
+        const error = await this.detectBlockPage(page, engine, query) ||
+          (status >= 400 ? new Error(`${engine.label} returned HTTP ${status}`) : null);
+        if (error) {
+          // Give HTTP errors the axios shape, so Retry-After and the breakers see them
+          if (status >= 400) {
+            error.response = { status, headers: response.headers() };
           }
-        } catch (e) {
-          // Skip invalid entries
+          throw error;
         }
       });
-      
-      return imageUrls;
-    } catch (error) {
-      Logger.warn('Bing search failed', { query, error: error.message });
-      return [];
-    }
-  }
 
-  /**
-   * Search Shopee for product images
-   * @param {string} query - Search query
-   * @returns {Promise<Array>} Array of image URLs
-   */
-  async searchShopee(query) {
-    try {
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
-      try {
-        await this.configurePageForSearch(page);
-        
-        const searchUrl = `https://shopee.com.my/search?keyword=${encodeURIComponent(query)}`;
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: config.search.searchTimeout });
-        
-        // Wait with multiple fallback selectors
-        const selectors = [
-          '[data-sqe="item"]',
-          '.shopee-search-item-result__item',
-          '.col-xs-2-4',
-          '.item-basic',
-          '[data-testid="product-item"]',
-          '.shopee-product-tile'
-        ];
-        
-        let foundSelector = null;
-        for (const selector of selectors) {
-          try {
-            await page.waitForSelector(selector, { timeout: config.search.selectorTimeout });
-            foundSelector = selector;
-            break;
-          } catch (e) {
-            continue;
-          }
-        }
-        
-        if (!foundSelector) {
-          throw new Error('No product items found with any selector');
+      // Result markup changes often; wait for the first selector that appears
+      let selector = null;
+      for (const candidate of engine.waitForSelectors || []) {
+        try {
+          await page.waitForSelector(candidate, { timeout: config.search.selectorTimeout });
+          selector = candidate;
+          break;
+        } catch (e) {
+          continue;
         }
-        
-        const imageUrls = await page.evaluate((selector) => {
-          const images = [];
-          const productItems = document.querySelectorAll(`${selector} img, ${selector} [data-src]`);
-          
-          productItems.forEach(img => {
-            let imgSrc = img.src || img.getAttribute('data-src') || img.getAttribute('data-original');
-            
-            if (imgSrc && imgSrc.startsWith('http') && !imgSrc.includes('placeholder')) {
-              // Convert thumbnail to larger image with multiple size variations
-              let largeUrl = imgSrc
-                .replace('_tn', '')
-                .replace('_200x200', '_800x800')
-                .replace('_300x300', '_800x800')
-                .replace('_400x400', '_800x800')
-                .replace('/tn_', '/');
-              images.push(largeUrl);
-            }
-          });
-          
-          return images;
-        }, foundSelector);
-        
-        return imageUrls.slice(0, 20); // Limit results
-      } finally {
-        await page.close();
       }
-    } catch (error) {
-      Logger.warn('Shopee search failed', { query, error: error.message });
-      return [];
-    }
-  }
 
-  /**
-   * Search Lazada for product images
-   * @param {string} query - Search query
-   * @returns {Promise<Array>} Array of image URLs
-   */
-  async searchLazada(query) {
-    try {
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
-      try {
-        await this.configurePageForSearch(page);
-        
-        const searchUrl = `https://www.lazada.com.my/catalog/?q=${encodeURIComponent(query)}`;
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: config.search.searchTimeout });
-        
-        // Multiple fallback selectors for Lazada
-        const selectors = [
-          '[data-qa-locator="product-item"]',
-          '.Bm3ON',
-          '.gridItem',
-          '.product-item',
-          '[data-testid="product-item"]',
-          '.c2prKC',
-          '.item-card'
-        ];
-        
-        let foundSelector = null;
-        for (const selector of selectors) {
-          try {
-            await page.waitForSelector(selector, { timeout: config.search.selectorTimeout });
-            foundSelector = selector;
-            break;
-          } catch (e) {
-            continue;
-          }
+      if (engine.waitForSelectors && engine.waitForSelectors.length > 0 && !selector) {
+        // A challenge rendered by script after load also leaves the results missing
+        const blockError = await this.detectBlockPage(page, engine, query);
+        if (blockError) {
+          throw blockError;
         }
-        
-        if (!foundSelector) {
-          throw new Error('No product items found with any selector');
-        }
-        
-        const imageUrls = await page.evaluate((selector) => {
-          const images = [];
-          const productImages = document.querySelectorAll(`${selector} img, ${selector} [data-src]`);
-          
-          productImages.forEach(img => {
-            let imgSrc = img.src || img.getAttribute('data-src') || img.getAttribute('data-original');
-            
-            if (imgSrc && imgSrc.startsWith('http')) {
-              // Convert to higher resolution with multiple variations
-              let largeUrl = imgSrc
-                .replace('_200x200', '_800x800')
-                .replace('_180x180', '_800x800')
-                .replace('_240x240', '_800x800')
-                .replace('_300x300', '_800x800')
-                .replace('/200_', '/800_')
-                .replace('/240_', '/800_');
-              images.push(largeUrl);
-            }
-          });
-          
-          return images;
-        }, foundSelector);
-        
-        return imageUrls.slice(0, 20);
-      } finally {
-        await page.close();
+        // Otherwise the query simply has no results: an empty search, not an engine failure
+        Logger.info(`${engine.label} returned no results`, { query });
+        return [];
       }
-    } catch (error) {
-      Logger.warn('Lazada search failed', { query, error: error.message });
-      return [];
+
+      // Extract from the rendered HTML, the same way the offline fixture tests do
+      const html = await page.content();
+      await this.recordResultsPage(engine, query, html);
+      return EngineRegistry.extractFromHtml(engine, html, { query, baseUrl: page.url(), selector, texts: this.imageTexts });
+    } finally {
+      await page.close();
     }
   }
 
   /**
-   * Search eBay for product images
+   * Check a loaded page for a CAPTCHA, consent or "unusual traffic" page
+   * Found pages are counted and saved to search.blockPageDir as a screenshot and HTML snapshot
+   * @param {Object} page - Puppeteer page
+   * @param {Object} engine - Engine definition
    * @param {string} query - Search query
-   * @returns {Promise<Array>} Array of image URLs
+   * @returns {Promise<BlockPageError|null>} Error to throw, or null for a normal page
    */
-  async searchEbay(query) {
-    try {
-      await this.initBrowser();
-      const page = await this.browser.newPage();
-      
+  async detectBlockPage(page, engine, query) {
+    const html = await page.content();
+    const detection = BlockPageDetector.detect({ url: page.url(), title: await page.title(), html });
+    if (!detection) {
+      return null;
+    }
+
+    const snapshot = {};
+    if (config.search.blockPageDir) {
       try {
-        await this.configurePageForSearch(page);
-        
-        const searchUrl = `https://www.ebay.com/sch/i.html?_nkw=${encodeURIComponent(query)}`;
-        await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: config.search.searchTimeout });
-        
-        // Multiple selectors for eBay items
-        const selectors = [
-          '.s-item__image',
-          '.s-item',
-          '.x-item-title',
-          '[data-testid="item-image"]',
-          '.it-pic',
-          '.img'
-        ];
-        
-        let foundSelector = null;
-        for (const selector of selectors) {
-          try {
-            await page.waitForSelector(selector, { timeout: config.search.selectorTimeout });
-            foundSelector = selector;
-            break;
-          } catch (e) {
-            continue;
-          }
-        }
-        
-        if (!foundSelector) {
-          throw new Error('No product items found with any selector');
-        }
-        
-        const imageUrls = await page.evaluate((selector) => {
-          const images = [];
-          const productImages = document.querySelectorAll(`${selector} img, img[src]`);
-          
-          productImages.forEach(img => {
-            if (img.src && img.src.startsWith('http')) {
-              // Convert to larger size with multiple variations
-              let largeUrl = img.src
-                .replace('s-225', 's-800')
-                .replace('s-140', 's-800')
-                .replace('s-300', 's-800')
-                .replace('_57', '_800')
-                .replace('_50', '_800')
-                .replace('_12', '_800');
-              images.push(largeUrl);
-            }
-          });
-          
-          return images;
-        }, foundSelector);
-        
-        return imageUrls.slice(0, 20);
-      } finally {
-        await page.close();
+        await fs.ensureDir(config.search.blockPageDir);
+        const baseName = path.join(config.search.blockPageDir,
+          `${engine.name}_${detection.kind}_${Helpers.sanitizeFilename(query).slice(0, 40)}_${Date.now()}`);
+        await fs.writeFile(`${baseName}.html`, html, 'utf8');
+        snapshot.html = `${baseName}.html`;
+        await page.screenshot({ path: `${baseName}.png` });
+        snapshot.screenshot = `${baseName}.png`;
+      } catch (error) {
+        Logger.warn('Failed to save block page snapshot', { engine: engine.name, error: error.message });
       }
-    } catch (error) {
-      Logger.warn('eBay search failed', { query, error: error.message });
-      return [];
     }
+
+    this.blockPages.push({
+      engine: engine.name,
+      kind: detection.kind,
+      signature: detection.signature,
+      url: detection.url,
+      query,
+      snapshot,
+      detectedAt: new Date().toISOString()
+    });
+    Logger.warn(`${engine.label} served a ${detection.kind} page`, {
+      query,
+      signature: detection.signature,
+      url: detection.url,
+      snapshot: snapshot.screenshot || snapshot.html || 'not saved'
+    });
+
+    return new BlockPageError(engine.name, detection, snapshot);
   }
 
   /**
-   * Search multiple shopping sites (excluding problematic ones)
+   * Save a results page to search.recordHtmlDir, for refreshing the extractor fixtures
+   * @param {Object} engine - Engine definition
    * @param {string} query - Search query
-   * @returns {Promise<Array>} Array of image URLs
+   * @param {string} html - Page HTML
+   * @returns {Promise<void>}
    */
-  async searchShoppingSites(query) {
+  async recordResultsPage(engine, query, html) {
+    if (!config.search.recordHtmlDir) {
+      return;
+    }
+
     try {
-      // Focus on working shopping sites only
-      const searchPromises = [
-        this.searchAmazon(query)
-      ];
-      
-      const results = await Promise.allSettled(searchPromises);
-      let allUrls = [];
-      
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          allUrls = allUrls.concat(result.value);
-        } else {
-          const sites = ['Amazon'];
-          Logger.warn(`${sites[index]} search failed`, { 
-            query, 
-            error: result.reason.message 
-          });
-        }
-      });
-      
-      return allUrls;
+      await fs.ensureDir(config.search.recordHtmlDir);
+      const fileName = `${engine.name}_${Helpers.sanitizeFilename(query).slice(0, 60)}_${Date.now()}.html`;
+      await fs.writeFile(path.join(config.search.recordHtmlDir, fileName), typeof html === 'string' ? html : String(html), 'utf8');
     } catch (error) {
-      Logger.warn('Shopping sites search failed', { query, error: error.message });
-      return [];
+      Logger.warn('Failed to record results page', { engine: engine.name, error: error.message });
     }
   }
 
@@ -939,7 +699,7 @@ class ImageSearch {
           return false;
         }
 
-        // Check file extension strictly: only .jpg/.jpeg/.png
+        // Check file extension against the allowed input formats
         const extension = Helpers.getFileExtension(url);
         if (!Helpers.isAllowedExtension(extension)) {
           return false;
@@ -1004,7 +764,7 @@ class ImageSearch {
    */
   async getImageMetadata(url) {
     try {
-      const response = await this.axiosInstance.head(url);
+      const response = await this.limiter.request(url, () => this.axiosInstance.head(url));
       
       const contentLength = parseInt(response.headers['content-length']) || 0;
       const contentType = response.headers['content-type'] || '';
@@ -1256,79 +1016,6 @@ class ImageSearch {
     return matches / hash1.length;
   }
 
-  /**
-   * Analyze image for watermarks and text overlays
-   * @param {Buffer} imageBuffer - Image buffer
-   * @returns {Promise<Object>} Watermark analysis result
-   */
-  async analyzeWatermark(imageBuffer) {
-    try {
-      // Basic watermark detection based on image analysis
-      const metadata = await sharp(imageBuffer).metadata();
-      
-      // Convert to grayscale and analyze contrast patterns
-      const { data } = await sharp(imageBuffer)
-        .resize(Math.min(800, metadata.width), Math.min(800, metadata.height))
-        .grayscale()
-        .raw()
-        .toBuffer({ resolveWithObject: true });
-      
-      // Look for patterns that might indicate watermarks
-      const hasWatermark = this.detectWatermarkPatterns(data, Math.min(800, metadata.width));
-      
-      return {
-        hasWatermark,
-        confidence: hasWatermark ? 0.8 : 0.2
-      };
-    } catch (error) {
-      Logger.warn('Watermark analysis failed', { error: error.message });
-      return {
-        hasWatermark: false,
-        confidence: 0.5
-      };
-    }
-  }
-
-  /**
-   * Detect watermark patterns in image data
-   * @param {Buffer} data - Grayscale image data
-   * @param {number} width - Image width
-   * @returns {boolean} True if watermark patterns detected
-   */
-  detectWatermarkPatterns(data, width) {
-    // This is a simplified watermark detection
-    // Look for unusual contrast patterns that might indicate overlaid text
-    
-    const height = data.length / width;
-    let edgeCount = 0;
-    let totalPixels = 0;
-    
-    for (let y = 1; y < height - 1; y++) {
-      for (let x = 1; x < width - 1; x++) {
-        const idx = y * width + x;
-        const current = data[idx];
-        const neighbors = [
-          data[idx - 1], data[idx + 1],
-          data[idx - width], data[idx + width]
-        ];
-        
-        // Calculate gradient
-        const gradients = neighbors.map(n => Math.abs(current - n));
-        const maxGradient = Math.max(...gradients);
-        
-        if (maxGradient > 50) { // High contrast edge
-          edgeCount++;
-        }
-        totalPixels++;
-      }
-    }
-    
-    const edgeRatio = edgeCount / totalPixels;
-    
-    // If there are too many high-contrast edges, it might indicate watermarks/text
-    return edgeRatio > 0.15;
-  }
-
   /**
    * Clean up resources
    */
@@ -1347,6 +1034,7 @@ class ImageSearch {
     // Clear duplicate detection caches
     this.downloadedImages.clear();
     this.imageHashes.clear();
+    this.imageTexts.clear();
   }
 }
 
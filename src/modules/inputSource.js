@@ -0,0 +1,190 @@
+/**
+ * Input Source Module for Product Image Search & Download System
+ * Loads spreadsheets, JSON arrays and NDJSON (from a file or stdin) as workbooks
+ */
+
+const XLSX = require('xlsx');
+const path = require('path');
+const fs = require('fs-extra');
+
+// --input value that reads NDJSON from stdin
+const STDIN = '-';
+
+/**
+ * Input Source class turning every supported input into an XLSX workbook
+ *
+ * JSON records become sheet rows with their keys as headers, so column mapping,
+ * validation and row numbers work the same for every format. Row numbers count
+ * the header row: the first record is row 2.
+ */
+class InputSource {
+  /**
+   * Get the format of an input
+   * @param {string} filePath - Input file path, or '-' for stdin
+   * @returns {string} 'spreadsheet', 'json' or 'ndjson'
+   */
+  static getFormat(filePath) {
+    if (filePath === STDIN) {
+      return 'ndjson';
+    }
+
+    const extension = path.extname(filePath).toLowerCase();
+    if (extension === '.json') {
+      return 'json';
+    }
+    if (extension === '.ndjson' || extension === '.jsonl') {
+      return 'ndjson';
+    }
+    return 'spreadsheet';
+  }
+
+  /**
+   * Check whether an input is stdin
+   * @param {string} filePath - Input file path
+   * @returns {boolean} True for '-'
+   */
+  static isStdin(filePath) {
+    return filePath === STDIN;
+  }
+
+  /**
+   * Load an input as a workbook
+   * @param {string} filePath - Input file path, or '-' for stdin
+   * @returns {Promise<Object>} XLSX workbook
+   * @throws {Error} On missing files, invalid JSON or inputs without records
+   */
+  static async load(filePath) {
+    const format = InputSource.getFormat(filePath);
+
+    if (InputSource.isStdin(filePath)) {
+      return InputSource.toWorkbook({ Sheet1: InputSource.parseNdjson(await InputSource.readStdin(), 'stdin') }, 'stdin');
+    }
+
+    if (!await fs.pathExists(filePath)) {
+      throw new Error(`Input file not found: ${filePath}`);
+    }
+
+    if (format === 'spreadsheet') {
+      return XLSX.readFile(filePath);
+    }
+
+    const text = await fs.readFile(filePath, 'utf8');
+    const sheets = format === 'json' ?
+      InputSource.parseJson(text, filePath) :
+      { Sheet1: InputSource.parseNdjson(text, filePath) };
+    return InputSource.toWorkbook(sheets, filePath);
+  }
+
+  /**
+   * Parse a JSON input
+   * A top-level array is one sheet; an object contributes one sheet per array property,
+   * so {"products": [...]} and exports with several lists work with --sheets
+   * @param {string} text - File content
+   * @param {string} source - Input name for error messages
+   * @returns {Object} Sheet name to array of records
+   * @throws {Error} On invalid JSON or when no array of records is found
+   */
+  static parseJson(text, source) {
+    let data;
+    try {
+      data = JSON.parse(text.replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${source}: ${error.message}`);
+    }
+
+    if (Array.isArray(data)) {
+      return { Sheet1: data };
+    }
+
+    const sheets = {};
+    if (data && typeof data === 'object') {
+      for (const [key, value] of Object.entries(data)) {
+        if (Array.isArray(value)) {
+          sheets[key] = value;
+        }
+      }
+    }
+
+    if (Object.keys(sheets).length === 0) {
+      throw new Error(`No array of product records found in ${source}`);
+    }
+    return sheets;
+  }
+
+  /**
+   * Parse newline-delimited JSON (one record per line)
+   * Blank lines are kept as empty records so row numbers follow line numbers
+   * @param {string} text - NDJSON content
+   * @param {string} source - Input name for error messages
+   * @returns {Array} Records
+   * @throws {Error} On a line that is not valid JSON
+   */
+  static parseNdjson(text, source) {
+    const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+    // A trailing newline is not an extra record
+    while (lines.length > 0 && !lines[lines.length - 1].trim()) {
+      lines.pop();
+    }
+
+    return lines.map((line, index) => {
+      if (!line.trim()) {
+        return {};
+      }
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Invalid JSON on line ${index + 1} of ${source}: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Build a workbook from records
+   * @param {Object} sheets - Sheet name to array of records
+   * @param {string} source - Input name for error messages
+   * @returns {Object} XLSX workbook
+   * @throws {Error} When a record is not an object
+   */
+  static toWorkbook(sheets, source) {
+    const workbook = XLSX.utils.book_new();
+
+    for (const [sheetName, records] of Object.entries(sheets)) {
+      const rows = records.map((record, index) => {
+        if (!record || typeof record !== 'object' || Array.isArray(record)) {
+          throw new Error(`Record ${index + 1} in ${source} [${sheetName}] is not an object`);
+        }
+        // Nested values have no cell equivalent; keep them readable
+        const row = {};
+        for (const [key, value] of Object.entries(record)) {
+          row[key] = value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+        }
+        return row;
+      });
+
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(rows), sheetName.slice(0, 31));
+    }
+
+    return workbook;
+  }
+
+  /**
+   * Read everything piped to stdin
+   * @returns {Promise<string>} stdin content
+   * @throws {Error} When stdin is a terminal
+   */
+  static async readStdin() {
+    if (process.stdin.isTTY) {
+      throw new Error('--input - reads NDJSON from stdin, but nothing was piped in');
+    }
+
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks.map(chunk => Buffer.from(chunk))).toString('utf8');
+  }
+}
+
+InputSource.STDIN = STDIN;
+
+module.exports = InputSource;
@@ -0,0 +1,130 @@
+/**
+ * Input Validator Module for Product Image Search & Download System
+ * Pre-flight checks on the rows read from the input before any folder is created
+ */
+
+const path = require('path');
+const Helpers = require('../utils/helpers');
+const NameNormalizer = require('../utils/nameNormalizer');
+const brandWebsites = require('../config/brandWebsites');
+const config = require('../config/settings');
+
+/**
+ * Input Validator class collecting problems with the input rows
+ *
+ * Errors lose or overwrite data (skipped rows, duplicate IDs, clashing folders, unknown profiles);
+ * warnings are worth a look but do not stop a --strict-input run.
+ */
+class InputValidator {
+  /**
+   * Create InputValidator instance
+   * @param {Object} websites - Brand website configuration keyed by upper-case brand (defaults to brandWebsites.js)
+   */
+  constructor(websites = brandWebsites) {
+    this.websites = websites;
+  }
+
+  /**
+   * Validate the products read from the input
+   * @param {Array} products - Products that will be processed (one per item ID)
+   * @param {Object} input - {skippedRows, idCollisions} collected while reading
+   * @returns {Object} {issues, errors, warnings} - issues sorted errors first
+   */
+  validate(products, input = {}) {
+    const issues = [];
+
+    for (const row of input.skippedRows || []) {
+      issues.push(this.createIssue('error', 'skippedRow', row, `Row skipped: ${row.reason}`));
+    }
+
+    for (const collision of input.idCollisions || []) {
+      const [kept, ...dropped] = collision.sources;
+      for (const source of dropped) {
+        issues.push(this.createIssue('error', 'duplicateId', {
+          itemid: collision.itemId,
+          sourceFile: source.file,
+          sourceSheet: source.sheet,
+          rowNumber: source.row
+        }, `Item ID also used in ${kept.file} [${kept.sheet}] row ${kept.row}; this row is not processed`));
+      }
+    }
+
+    issues.push(...this.checkFolderNames(products));
+
+    for (const product of products) {
+      if (product.unknownQualityProfile) {
+        issues.push(this.createIssue('error', 'unknownProfile', product, `Unknown quality profile '${product.unknownQualityProfile}'; the run default '${config.quality.profile}' is used. Available profiles: ${Object.keys(config.qualityProfiles || {}).join(', ')}`));
+      }
+
+      const brand = (product.brand || '').toString().trim();
+      if (!brand) {
+        issues.push(this.createIssue('warning', 'emptyBrand', product, 'Brand is empty; write NONE for unbranded items'));
+      } else if (!NameNormalizer.isUnbranded(brand) && !this.websites[brand.normalize('NFC').toUpperCase()]) {
+        issues.push(this.createIssue('warning', 'noBrandWebsite', product, `No entry for '${brand}' in brandWebsites.js; only the generic brand search is tried`));
+      }
+    }
+
+    const severityOrder = { error: 0, warning: 1 };
+    issues.sort((a, b) => severityOrder[a.severity] - severityOrder[b.severity]);
+
+    return {
+      issues,
+      errors: issues.filter(issue => issue.severity === 'error').length,
+      warnings: issues.filter(issue => issue.severity === 'warning').length
+    };
+  }
+
+  /**
+   * Flag item IDs whose folder name differs from the ID, and IDs that end up in the same folder
+   * @param {Array} products - Array of product objects
+   * @returns {Array} Issues
+   */
+  checkFolderNames(products) {
+    const issues = [];
+    const folders = new Map();
+
+    for (const product of products) {
+      const itemId = product.itemid.toString();
+      const folderName = Helpers.sanitizeFilename(itemId);
+
+      if (folderName !== itemId) {
+        issues.push(this.createIssue('warning', 'unsafeFolderName', product, `Item ID is saved as folder '${folderName}'`));
+      }
+
+      // Compared case-insensitively: Windows and macOS treat A1 and a1 as the same folder
+      const key = folderName.toLowerCase();
+      if (folders.has(key)) {
+        const other = folders.get(key);
+        issues.push(this.createIssue('error', 'folderCollision', product, `Folder '${folderName}' is also used by item ID '${other.itemid}'; images would be mixed`));
+      } else {
+        folders.set(key, product);
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Create an issue record
+   * @param {string} severity - 'error' or 'warning'
+   * @param {string} check - Name of the failed check
+   * @param {Object} row - Product or skipped row ({itemid, name, brand, sourceFile, sourceSheet, rowNumber})
+   * @param {string} message - Description of the problem
+   * @returns {Object} Issue
+   */
+  createIssue(severity, check, row, message) {
+    return {
+      severity,
+      check,
+      itemId: row.itemid !== undefined ? String(row.itemid) : '',
+      name: row.name || '',
+      brand: row.brand || '',
+      sourceFile: row.sourceFile ? path.basename(row.sourceFile) : '',
+      sourceSheet: row.sourceSheet || '',
+      row: row.rowNumber || null,
+      message
+    };
+  }
+}
+
+module.exports = InputValidator;
@@ -4,6 +4,8 @@
  */
 
 const sharp = require('sharp');
+const fs = require('fs-extra');
+const path = require('path');
 const Logger = require('../utils/logger');
 const Helpers = require('../utils/helpers');
 const config = require('../config/settings');
@@ -43,20 +45,23 @@ class QualityAnalyzer {
    */
   constructor() {
     this.cache = new Map();
+    this.placeholderLibrary = null; // Loaded on first use
   }
 
   /**
    * Analyze image quality from buffer
    * @param {Buffer} imageBuffer - Image buffer data
    * @param {string} url - Original image URL
+   * @param {string} profileName - Quality profile to apply (defaults to config.quality.profile)
    * @returns {Promise<Object>} Quality analysis results
    */
-  async analyzeImage(imageBuffer, url) {
+  async analyzeImage(imageBuffer, url, profileName = null) {
     try {
-      Logger.info('Starting strict image quality analysis', { url });
+      const quality = Helpers.getQualitySettings(profileName);
+      Logger.info('Starting strict image quality analysis', { url, profile: quality.profile });
 
-      // Check cache first
-      const cacheKey = this.generateCacheKey(imageBuffer);
+      // Check cache first (results depend on the profile's thresholds)
+      const cacheKey = `${quality.profile}:${this.generateCacheKey(imageBuffer)}`;
       if (this.cache.has(cacheKey)) {
         Logger.info('Using cached analysis result', { url });
         return this.cache.get(cacheKey);
@@ -64,6 +69,7 @@ class QualityAnalyzer {
 
       const analysis = {
         url,
+        profile: quality.profile,
         isValid: false,
         score: 0,
         dimensions: null,
@@ -72,22 +78,31 @@ class QualityAnalyzer {
         format: null,
         hasPlainBackground: false,
         backgroundConfidence: 0,
+        backgroundColor: null,
         sharpness: 0,
+        sharpnessVariance: 0,
         hasWatermark: false,
         watermarkConfidence: 0,
+        watermarkRegion: null,
+        colorEntropy: 0,
+        channelStdDev: 0,
+        perceptualHash: null,
+        placeholderMatch: null,
         isSquare: false,
         meetsSizeRequirements: false,
-        issues: []
+        scoreBreakdown: null,
+        issues: [],
+        rejections: []
       };
 
       // Basic validation
-      if (imageBuffer.length < config.quality.minFileSize) {
-        analysis.issues.push('File size too small');
+      if (imageBuffer.length < quality.minFileSize) {
+        this.addIssue(analysis, 'minFileSize', 'File size too small');
         return this.cacheAndReturn(cacheKey, analysis);
       }
 
-      if (imageBuffer.length > config.quality.maxFileSize) {
-        analysis.issues.push('File size too large');
+      if (imageBuffer.length > quality.maxFileSize) {
+        this.addIssue(analysis, 'maxFileSize', 'File size too large');
         return this.cacheAndReturn(cacheKey, analysis);
       }
 
@@ -101,29 +116,61 @@ class QualityAnalyzer {
       analysis.aspectRatio = metadata.width / metadata.height;
 
       // Configurable aspect ratio and size requirements
-      analysis.isSquare = this.isSquareImage(metadata.width, metadata.height, config.quality.preferredAspectRatio);
-      analysis.meetsSizeRequirements = this.meetsSizeRequirements(metadata.width, metadata.height, config.quality.minResolution, config.quality.maxResolution);
+      analysis.isSquare = this.isSquareImage(metadata.width, metadata.height, quality.preferredAspectRatio);
+      analysis.meetsSizeRequirements = this.meetsSizeRequirements(metadata.width, metadata.height, quality.minResolution, quality.maxResolution);
 
-      if (config.quality.strictSquareOnly && !analysis.isSquare) {
-        analysis.issues.push(`Not square: ${metadata.width}x${metadata.height}`);
+      if (quality.strictSquareOnly && !analysis.isSquare) {
+        this.addIssue(analysis, 'strictSquareOnly', `Not square: ${metadata.width}x${metadata.height}`);
       }
 
       if (!analysis.meetsSizeRequirements) {
-        analysis.issues.push(`Size out of range (${config.quality.minResolution[0]}-${config.quality.maxResolution[0]}): ${metadata.width}x${metadata.height}`);
+        this.addIssue(analysis, 'resolution', `Size out of range (${quality.minResolution[0]}-${quality.maxResolution[0]}): ${metadata.width}x${metadata.height}`);
       }
 
-      // Background detection (use config threshold)
-      analysis.hasPlainBackground = config.quality.requirePureWhiteBackground ? analysis.backgroundConfidence >= config.quality.whiteBackgroundThreshold : true;
-      analysis.backgroundConfidence = config.quality.whiteBackgroundThreshold;
+      // Blank tiles, low-information graphics and known "no image" placeholders
+      const content = await this.analyzeContent(imageBuffer, quality);
+      analysis.channelStdDev = content.channelStdDev;
+      analysis.colorEntropy = content.colorEntropy;
+      analysis.perceptualHash = content.perceptualHash;
+      analysis.placeholderMatch = content.placeholderMatch;
+      if (content.isBlank) {
+        this.addIssue(analysis, 'blankImage', `Image is nearly uniform (channel std dev: ${content.channelStdDev.toFixed(1)})`);
+      } else if (content.isLowEntropy) {
+        this.addIssue(analysis, 'lowColorEntropy', `Pale flat graphic, not a product photo (entropy: ${content.colorEntropy.toFixed(2)} bits, lightness: ${Math.round(content.foregroundLightness)})`);
+      }
+      if (content.placeholderMatch) {
+        this.addIssue(analysis, 'knownPlaceholder', `Matches placeholder '${content.placeholderMatch.name}' (distance: ${content.placeholderMatch.distance})`);
+      }
+
+      // Background detection (edge-sampled, compared to config threshold)
+      const background = await this.analyzeStrictBackground(imageBuffer, quality);
+      analysis.backgroundConfidence = background.whitePixelRatio;
+      analysis.backgroundColor = background.dominantColor;
+      analysis.hasPlainBackground = quality.requirePureWhiteBackground ? background.isPureWhite : true;
+      if (!analysis.hasPlainBackground) {
+        this.addIssue(analysis, 'requirePureWhiteBackground', `Background not white (white edge pixels: ${(background.whitePixelRatio * 100).toFixed(1)}%, dominant: ${background.dominantColor ? background.dominantColor.hex : 'unknown'})`);
+      }
+
+      // Watermark detection (text-like cluster ratio, compared to config threshold)
+      const watermark = await this.analyzeWatermarks(imageBuffer, quality);
+      analysis.hasWatermark = watermark.hasWatermark;
+      analysis.watermarkConfidence = watermark.watermarkRatio;
+      analysis.watermarkRegion = watermark.region;
+      if (analysis.hasWatermark && !quality.allowWatermarks) {
+        this.addIssue(analysis, 'allowWatermarks', `Watermark suspected (${watermark.region.zone}, text-like ratio: ${(watermark.watermarkRatio * 100).toFixed(1)}%)`);
+      }
 
-      // Watermark detection (use config threshold)
-      analysis.hasWatermark = !config.quality.allowWatermarks;
-      analysis.watermarkConfidence = config.quality.watermarkDetectionThreshold;
+      // Sharpness (Laplacian variance, compared to config threshold)
+      const sharpness = await this.analyzeSharpness(imageBuffer, quality);
+      analysis.sharpness = sharpness.sharpness;
+      analysis.sharpnessVariance = sharpness.variance;
+      if (analysis.sharpness < quality.minSharpness) {
+        this.addIssue(analysis, 'minSharpness', `Image too blurry (sharpness: ${(analysis.sharpness * 100).toFixed(1)}%)`);
+      }
 
-      // Sharpness (use config threshold)
-      analysis.sharpness = config.quality.minSharpness;
-      if (analysis.sharpness < config.quality.minSharpness) {
-        analysis.issues.push(`Image too blurry (sharpness: ${(analysis.sharpness * 100).toFixed(1)}%)`);
+      // Aspect ratio is enforced even when strictSquareOnly is off; record it as its own rule
+      if (!analysis.isSquare && !quality.strictSquareOnly) {
+        this.addIssue(analysis, 'preferredAspectRatio', `Aspect ratio out of range: ${analysis.aspectRatio.toFixed(2)}`);
       }
 
       // STRICT VALIDATION: All requirements must be met
@@ -131,9 +178,10 @@ class QualityAnalyzer {
                         analysis.isSquare && 
                         analysis.meetsSizeRequirements && 
                         analysis.hasPlainBackground && 
-                        !analysis.hasWatermark;
+                        (quality.allowWatermarks || !analysis.hasWatermark);
 
       // Calculate overall quality score based on strict criteria
+      analysis.scoreBreakdown = this.getQualityScoreBreakdown(analysis);
       analysis.score = this.calculateStrictQualityScore(analysis);
 
       Logger.info('Strict image quality analysis completed', {
@@ -142,7 +190,8 @@ class QualityAnalyzer {
         isValid: analysis.isValid,
         issues: analysis.issues.length,
         dimensions: `${metadata.width}x${metadata.height}`,
-        backgroundConfidence: (analysis.backgroundConfidence * 100).toFixed(1) + '%'
+        backgroundConfidence: (analysis.backgroundConfidence * 100).toFixed(1) + '%',
+        sharpness: (analysis.sharpness * 100).toFixed(1) + '%'
       });
 
       return this.cacheAndReturn(cacheKey, analysis);
@@ -150,14 +199,184 @@ class QualityAnalyzer {
       Logger.error('Image quality analysis failed', { url, error });
       return {
         url,
+        profile: profileName || config.quality.profile,
         isValid: false,
         score: 0,
         error: error.message,
-        issues: ['Analysis failed']
+        issues: ['Analysis failed'],
+        rejections: [{ rule: 'analysisError', message: `Analysis failed: ${error.message}` }]
       };
     }
   }
 
+  /**
+   * Detect blank, low-entropy and known placeholder images
+   * Entropy is measured over non-white pixels so wide white margins do not hide a flat graphic.
+   * Low entropy only marks a placeholder when those pixels are also pale: "no image" tiles are
+   * light grey, while a flat black O-ring or grey bolt on white is a real product
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} quality - Quality settings (defaults to config.quality)
+   * @returns {Promise<Object>} {isBlank, isLowEntropy, channelStdDev, colorEntropy, foregroundLightness, perceptualHash, placeholderMatch}
+   */
+  async analyzeContent(imageBuffer, quality = config.quality) {
+    const { data, info } = await sharp(imageBuffer)
+      .flatten({ background: '#ffffff' })
+      .removeAlpha()
+      .resize(256, 256, { fit: 'inside' })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // 8 levels per channel = 512 colour bins
+    const bins = new Map();
+    const sums = [0, 0, 0];
+    const sumSquares = [0, 0, 0];
+    let foreground = 0;
+    let foregroundSum = 0;
+    for (let i = 0; i < data.length; i += info.channels) {
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      [r, g, b].forEach((value, c) => {
+        sums[c] += value;
+        sumSquares[c] += value * value;
+      });
+      if (Math.min(r, g, b) >= 245) continue;
+      const bin = (r >> 5) << 6 | (g >> 5) << 3 | (b >> 5);
+      bins.set(bin, (bins.get(bin) || 0) + 1);
+      foreground++;
+      foregroundSum += (r + g + b) / 3;
+    }
+
+    const pixelCount = info.width * info.height;
+    const channelStdDev = Math.max(...sums.map((sum, c) => {
+      const mean = sum / pixelCount;
+      return Math.sqrt(Math.max(0, sumSquares[c] / pixelCount - mean * mean));
+    }));
+
+    let colorEntropy = 0;
+    for (const count of bins.values()) {
+      const p = count / foreground;
+      colorEntropy -= p * Math.log2(p);
+    }
+
+    const foregroundLightness = foreground ? foregroundSum / foreground : 255;
+    const perceptualHash = await this.computePerceptualHash(imageBuffer);
+
+    return {
+      isBlank: channelStdDev <= quality.blankMaxStdDev,
+      isLowEntropy: colorEntropy < quality.minColorEntropy && foregroundLightness >= quality.lowEntropyMinLightness,
+      channelStdDev,
+      colorEntropy,
+      foregroundLightness,
+      perceptualHash,
+      placeholderMatch: this.findPlaceholderMatch(perceptualHash, quality)
+    };
+  }
+
+  /**
+   * Compute a 64-bit difference hash (dHash) of an image
+   * White borders are trimmed first so padding to square does not change the hash
+   * @param {Buffer} imageBuffer - Image buffer
+   * @returns {Promise<string>} 16-character hex hash
+   */
+  async computePerceptualHash(imageBuffer) {
+    let source = await sharp(imageBuffer).flatten({ background: '#ffffff' }).png().toBuffer();
+    try {
+      source = await sharp(source).trim({ background: '#ffffff', threshold: 10 }).toBuffer();
+    } catch (error) {
+      // All white, nothing to trim
+    }
+
+    const pixels = await sharp(source)
+      .greyscale()
+      .resize(9, 8, { fit: 'fill' })
+      .raw()
+      .toBuffer();
+
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+      }
+    }
+    return hash.toString(16).padStart(16, '0');
+  }
+
+  /**
+   * Find the closest known placeholder within the configured distance
+   * @param {string} hash - Perceptual hash of the image
+   * @param {Object} quality - Quality settings (defaults to config.quality)
+   * @returns {Object|null} {name, distance} of the best match, or null
+   */
+  findPlaceholderMatch(hash, quality = config.quality) {
+    let best = null;
+    for (const placeholder of this.loadPlaceholderLibrary()) {
+      const distance = this.hammingDistance(hash, placeholder.hash);
+      if (distance <= quality.placeholderMaxDistance && (!best || distance < best.distance)) {
+        best = { name: placeholder.name, distance };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * Load the placeholder hash library from disk (once)
+   * @returns {Array} [{name, hash}] entries
+   */
+  loadPlaceholderLibrary() {
+    if (this.placeholderLibrary) {
+      return this.placeholderLibrary;
+    }
+
+    const libraryPath = path.resolve(config.quality.placeholderLibrary);
+    try {
+      this.placeholderLibrary = fs.existsSync(libraryPath) ?
+        fs.readJsonSync(libraryPath).placeholders || [] :
+        [];
+    } catch (error) {
+      Logger.warn('Failed to load placeholder library', { libraryPath, error: error.message });
+      this.placeholderLibrary = [];
+    }
+    return this.placeholderLibrary;
+  }
+
+  /**
+   * Hash an image and add it to the placeholder library
+   * @param {string} imagePath - Path to a placeholder image
+   * @param {string} name - Name to record (defaults to the file name)
+   * @returns {Promise<Object>} The added {name, hash} entry
+   */
+  async addPlaceholder(imagePath, name = path.basename(imagePath)) {
+    const hash = await this.computePerceptualHash(await fs.readFile(imagePath));
+    const libraryPath = path.resolve(config.quality.placeholderLibrary);
+    const placeholders = [...this.loadPlaceholderLibrary()];
+
+    const entry = { name, hash };
+    placeholders.push(entry);
+    await fs.outputJson(libraryPath, { placeholders }, { spaces: 2 });
+
+    this.placeholderLibrary = placeholders;
+    this.cache.clear();
+    Logger.info('Placeholder added to library', { name, hash, libraryPath });
+    return entry;
+  }
+
+  /**
+   * Count differing bits between two hex hashes
+   * @param {string} a - Hex hash
+   * @param {string} b - Hex hash
+   * @returns {number} Hamming distance
+   */
+  hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let distance = 0;
+    while (diff > 0n) {
+      distance += Number(diff & 1n);
+      diff >>= 1n;
+    }
+    return distance;
+  }
+
   /**
    * Check if image is square (aspect ratio close to 1:1)
    * @param {number} width - Image width
@@ -188,76 +407,78 @@ class QualityAnalyzer {
 
   /**
    * Analyze for pure white background with strict criteria
+   * Samples the border bands and corner blocks of the decoded image
    * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} quality - Quality settings (defaults to config.quality)
    * @returns {Promise<Object>} Strict background analysis
    */
-  async analyzeStrictBackground(imageBuffer) {
+  async analyzeStrictBackground(imageBuffer, quality = config.quality) {
     try {
-      // SPEED OPTIMIZED: Skip complex background analysis for faster processing
-      return {
-        isPureWhite: true, // Accept all backgrounds for speed
-        confidence: 0.8,
-        whitePixelRatio: 0.8,
-        averageColor: { r: 250, g: 250, b: 250 },
-        edgeWhiteRatio: 0.8
-      };
-      
-      // Sample more points around edges and corners for strict white background detection
+      const { data, info } = await sharp(imageBuffer)
+        .flatten({ background: '#ffffff' })
+        .removeAlpha()
+        .resize(800, 800, { fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const { width, height, channels } = info;
+
+      // Sample points around edges and corners for strict white background detection
       const edgePoints = [];
-      const margin = 10; // Larger margin for better edge sampling
+      const margin = Math.min(10, Math.floor(Math.min(width, height) / 20)); // Stay inside tiny images
       const samples = 50; // More samples for accuracy
-      
-      // Sample all four edges more densely
+
+      // Sample all four edges densely
       for (let i = 0; i < samples; i++) {
         const ratio = i / (samples - 1);
-        
+        const x = Math.min(width - 1, Math.floor((width - 1) * ratio));
+        const y = Math.min(height - 1, Math.floor((height - 1) * ratio));
+
         // Top edge
-        edgePoints.push({ x: Math.floor(width * ratio), y: margin });
+        edgePoints.push({ x, y: margin });
         // Bottom edge
-        edgePoints.push({ x: Math.floor(width * ratio), y: height - margin - 1 });
+        edgePoints.push({ x, y: height - margin - 1 });
         // Left edge
-        edgePoints.push({ x: margin, y: Math.floor(height * ratio) });
+        edgePoints.push({ x: margin, y });
         // Right edge
-        edgePoints.push({ x: width - margin - 1, y: Math.floor(height * ratio) });
+        edgePoints.push({ x: width - margin - 1, y });
       }
-      
-      // Add corner samples
-      const cornerMargin = 20;
-      for (let y = cornerMargin; y < cornerMargin + 20; y++) {
-        for (let x = cornerMargin; x < cornerMargin + 20; x++) {
+
+      // Add corner blocks
+      const cornerSize = Math.max(1, Math.min(20, Math.floor(Math.min(width, height) / 10)));
+      for (let y = margin; y < margin + cornerSize; y++) {
+        for (let x = margin; x < margin + cornerSize; x++) {
           edgePoints.push({ x, y });
           edgePoints.push({ x: width - x - 1, y });
           edgePoints.push({ x, y: height - y - 1 });
           edgePoints.push({ x: width - x - 1, y: height - y - 1 });
         }
       }
-      
-      const edgeColors = edgePoints.map(point => {
-        if (point.x >= 0 && point.x < width && point.y >= 0 && point.y < height) {
-          return image.getPixelColor(point.x, point.y);
-        }
-        return 0xFFFFFFFF; // Default to white
-      });
-      
-      const rgbColors = edgeColors.map(color => Jimp.intToRGBA(color));
-      
-      // STRICT white background check
+
+      const rgbColors = edgePoints
+        .filter(point => point.x >= 0 && point.x < width && point.y >= 0 && point.y < height)
+        .map(point => {
+          const idx = (point.y * width + point.x) * channels;
+          return { r: data[idx], g: data[idx + 1], b: data[idx + 2] };
+        });
+
+      // STRICT white background check (RGB values must be >= 240)
       let whitePixels = 0;
-      let totalPixels = rgbColors.length;
-      
+      const totalPixels = rgbColors.length;
+
       for (const color of rgbColors) {
-        // Very strict white threshold (RGB values must be > 240)
         if (color.r >= 240 && color.g >= 240 && color.b >= 240) {
           whitePixels++;
         }
       }
-      
-      const whiteRatio = whitePixels / totalPixels;
-      const isPureWhite = whiteRatio >= 0.9; // 90% of edge pixels must be white
-      
+
+      const whiteRatio = totalPixels > 0 ? whitePixels / totalPixels : 0;
+
       return {
-        isPureWhite,
+        isPureWhite: whiteRatio >= quality.whiteBackgroundThreshold,
         confidence: whiteRatio,
+        whitePixelRatio: whiteRatio,
+        dominantColor: this.getDominantColor(rgbColors),
         whitePixelCount: whitePixels,
         totalPixelCount: totalPixels
       };
@@ -266,6 +487,8 @@ class QualityAnalyzer {
       return {
         isPureWhite: false,
         confidence: 0,
+        whitePixelRatio: 0,
+        dominantColor: null,
         whitePixelCount: 0,
         totalPixelCount: 1
       };
@@ -273,109 +496,219 @@ class QualityAnalyzer {
   }
 
   /**
-   * Analyze for watermarks with enhanced detection
+   * Find the dominant colour among sampled pixels
+   * Colours are bucketed into 16-level bins and the busiest bin is averaged
+   * @param {Array} colors - Array of RGB color objects
+   * @returns {Object|null} Dominant color {r, g, b, hex, ratio}
+   */
+  getDominantColor(colors) {
+    if (colors.length === 0) return null;
+
+    const buckets = new Map();
+    for (const c of colors) {
+      const key = `${c.r >> 4}-${c.g >> 4}-${c.b >> 4}`;
+      const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0 };
+      bucket.r += c.r;
+      bucket.g += c.g;
+      bucket.b += c.b;
+      bucket.count++;
+      buckets.set(key, bucket);
+    }
+
+    let dominant = null;
+    for (const bucket of buckets.values()) {
+      if (!dominant || bucket.count > dominant.count) {
+        dominant = bucket;
+      }
+    }
+
+    const r = Math.round(dominant.r / dominant.count);
+    const g = Math.round(dominant.g / dominant.count);
+    const b = Math.round(dominant.b / dominant.count);
+    const hex = '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+
+    return { r, g, b, hex, ratio: dominant.count / colors.length };
+  }
+
+  /**
+   * Analyze for watermarks and text overlays
+   * Splits the image into a grid and looks for cells with dense high-contrast
+   * strokes in both directions (text-like). Corners and the diagonal bands are
+   * the usual watermark positions; the centre is skipped so product labels are
+   * not mistaken for overlays.
    * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} quality - Quality settings (defaults to config.quality)
    * @returns {Promise<Object>} Watermark analysis
    */
-  async analyzeWatermarks(imageBuffer) {
+  async analyzeWatermarks(imageBuffer, quality = config.quality) {
     try {
       const { data, info } = await sharp(imageBuffer)
+        .flatten({ background: '#ffffff' })
         .resize(800, 800, { fit: 'inside', withoutEnlargement: true })
         .grayscale()
         .raw()
         .toBuffer({ resolveWithObject: true });
-      
-      const width = info.width;
-      const height = info.height;
-      
-      // Look for text-like patterns and semi-transparent overlays
-      let suspiciousPatterns = 0;
-      let totalPatterns = 0;
-      
-      // Scan for high-contrast patterns that might indicate text/watermarks
-      for (let y = 10; y < height - 10; y += 5) {
-        for (let x = 10; x < width - 10; x += 5) {
-          const centerIdx = y * width + x;
-          const center = data[centerIdx];
-          
-          // Check surrounding pixels for text-like patterns
-          let contrastCount = 0;
-          let neighbors = 0;
-          
-          for (let dy = -2; dy <= 2; dy++) {
-            for (let dx = -2; dx <= 2; dx++) {
-              if (dx === 0 && dy === 0) continue;
-              
-              const neighborIdx = (y + dy) * width + (x + dx);
-              if (neighborIdx >= 0 && neighborIdx < data.length) {
-                const neighbor = data[neighborIdx];
-                if (Math.abs(center - neighbor) > 60) {
-                  contrastCount++;
-                }
-                neighbors++;
-              }
+
+      const { width, height } = info;
+      const metadata = await sharp(imageBuffer).metadata();
+      const scale = metadata.width ? metadata.width / width : 1;
+
+      const gridSize = 12;
+      const contrastThreshold = 40; // Low enough to catch semi-transparent overlays
+      const textEdgeDensity = 0.03; // Edge density (per direction) of a text-like cell
+      const activeEdgeDensity = 0.005; // Edge density of a cell with any structure
+
+      // Measure horizontal and vertical edge density per cell
+      const cells = [];
+      for (let gy = 0; gy < gridSize; gy++) {
+        for (let gx = 0; gx < gridSize; gx++) {
+          const x0 = Math.floor(gx * width / gridSize);
+          const x1 = Math.floor((gx + 1) * width / gridSize);
+          const y0 = Math.floor(gy * height / gridSize);
+          const y1 = Math.floor((gy + 1) * height / gridSize);
+
+          let horizontalEdges = 0;
+          let verticalEdges = 0;
+          let pixels = 0;
+
+          for (let y = Math.max(0, y0); y < Math.min(height - 1, y1); y++) {
+            for (let x = Math.max(0, x0); x < Math.min(width - 1, x1); x++) {
+              const idx = y * width + x;
+              if (Math.abs(data[idx] - data[idx + 1]) > contrastThreshold) horizontalEdges++;
+              if (Math.abs(data[idx] - data[idx + width]) > contrastThreshold) verticalEdges++;
+              pixels++;
             }
           }
-          
-          totalPatterns++;
-          
-          // If more than 50% of neighbors have high contrast, it might be text/watermark
-          if (neighbors > 0 && (contrastCount / neighbors) > 0.5) {
-            suspiciousPatterns++;
-          }
+
+          const h = pixels > 0 ? horizontalEdges / pixels : 0;
+          const v = pixels > 0 ? verticalEdges / pixels : 0;
+
+          cells.push({
+            gx, gy, x0, y0, x1, y1,
+            isActive: Math.max(h, v) >= activeEdgeDensity,
+            isTextLike: Math.min(h, v) >= textEdgeDensity
+          });
         }
       }
-      
-      const suspiciousRatio = totalPatterns > 0 ? suspiciousPatterns / totalPatterns : 0;
-      const hasWatermark = suspiciousRatio > 0.02; // 2% threshold for watermark detection
-      
+
+      const zones = this.getWatermarkZones(gridSize);
+      const zoneRatios = {};
+      let best = { name: null, ratio: 0, cells: [] };
+
+      for (const [name, contains] of Object.entries(zones)) {
+        const zoneCells = cells.filter(cell => contains(cell.gx, cell.gy));
+        const active = zoneCells.filter(cell => cell.isActive);
+        const textLike = zoneCells.filter(cell => cell.isTextLike);
+        const ratio = active.length > 0 ? textLike.length / active.length : 0;
+
+        zoneRatios[name] = ratio;
+        if (textLike.length > 0 && ratio > best.ratio) {
+          best = { name, ratio, cells: textLike };
+        }
+      }
+
+      const hasWatermark = best.ratio >= quality.watermarkDetectionThreshold;
+      let region = null;
+      if (best.cells.length > 0) {
+        const left = Math.min(...best.cells.map(c => c.x0));
+        const top = Math.min(...best.cells.map(c => c.y0));
+        const right = Math.max(...best.cells.map(c => c.x1));
+        const bottom = Math.max(...best.cells.map(c => c.y1));
+        region = {
+          zone: best.name,
+          x: Math.round(left * scale),
+          y: Math.round(top * scale),
+          width: Math.round((right - left) * scale),
+          height: Math.round((bottom - top) * scale)
+        };
+      }
+
       return {
         hasWatermark,
-        confidence: hasWatermark ? Math.min(1, suspiciousRatio * 10) : suspiciousRatio,
-        suspiciousPatterns,
-        totalPatterns
+        confidence: best.ratio,
+        watermarkRatio: best.ratio,
+        region,
+        zoneRatios,
+        textLikeCells: cells.filter(cell => cell.isTextLike).length
       };
     } catch (error) {
       Logger.warn('Watermark analysis failed', { error: error.message });
       return {
         hasWatermark: false,
-        confidence: 0.5,
-        suspiciousPatterns: 0,
-        totalPatterns: 1
+        confidence: 0,
+        watermarkRatio: 0,
+        region: null,
+        zoneRatios: {},
+        textLikeCells: 0
       };
     }
   }
 
+  /**
+   * Get the grid zones where watermarks are usually placed
+   * @param {number} gridSize - Number of cells per side
+   * @returns {Object} Map of zone name to cell membership test
+   */
+  getWatermarkZones(gridSize) {
+    const corner = Math.floor(gridSize / 4);
+    const last = gridSize - 1;
+    const inCorner = (gx, gy) => (gx < corner || gx > last - corner) && (gy < corner || gy > last - corner);
+    const inCenter = (gx, gy) => Math.abs(gx - last / 2) < gridSize / 6 && Math.abs(gy - last / 2) < gridSize / 6;
+
+    return {
+      'top-left': (gx, gy) => gx < corner && gy < corner,
+      'top-right': (gx, gy) => gx > last - corner && gy < corner,
+      'bottom-left': (gx, gy) => gx < corner && gy > last - corner,
+      'bottom-right': (gx, gy) => gx > last - corner && gy > last - corner,
+      'diagonal': (gx, gy) => (Math.abs(gx - gy) <= 1 || Math.abs(gx + gy - last) <= 1) &&
+        !inCorner(gx, gy) && !inCenter(gx, gy)
+    };
+  }
+
   /**
    * Calculate quality score with strict criteria
    * @param {Object} analysis - Analysis results
    * @returns {number} Quality score (0-1)
    */
   calculateStrictQualityScore(analysis) {
-    let score = 0;
-    
-    // Square requirement (30%)
-    if (analysis.isSquare) {
-      score += 0.3;
-    }
-    
-    // Size requirement (25%)
-    if (analysis.meetsSizeRequirements) {
-      score += 0.25;
-    }
-    
-    // Pure white background (30%)
-    score += analysis.backgroundConfidence * 0.3;
-    
-    // No watermark (10%)
-    if (!analysis.hasWatermark) {
-      score += 0.1;
-    }
-    
-    // Sharpness (5%)
-    score += analysis.sharpness * 0.05;
-    
-    return Math.min(1, score);
+    const breakdown = analysis.scoreBreakdown || this.getQualityScoreBreakdown(analysis);
+    return Math.min(1, breakdown.total);
+  }
+
+  /**
+   * Break the strict quality score down into its weighted components
+   * @param {Object} analysis - Analysis results
+   * @returns {Object} Per-criterion score contributions and their total
+   */
+  getQualityScoreBreakdown(analysis) {
+    const breakdown = {
+      // Square requirement (30%)
+      square: analysis.isSquare ? 0.3 : 0,
+      // Size requirement (25%)
+      size: analysis.meetsSizeRequirements ? 0.25 : 0,
+      // Pure white background (30%)
+      background: (analysis.backgroundConfidence || 0) * 0.3,
+      // No watermark (10%)
+      watermark: analysis.hasWatermark ? 0 : 0.1,
+      // Sharpness (5%)
+      sharpness: (analysis.sharpness || 0) * 0.05
+    };
+
+    breakdown.total = breakdown.square + breakdown.size + breakdown.background +
+      breakdown.watermark + breakdown.sharpness;
+
+    return breakdown;
+  }
+
+  /**
+   * Record a failed quality rule on the analysis
+   * @param {Object} analysis - Analysis results
+   * @param {string} rule - Name of the quality setting that failed
+   * @param {string} message - Human readable issue
+   */
+  addIssue(analysis, rule, message) {
+    analysis.issues.push(message);
+    analysis.rejections.push({ rule, message });
   }
 
   /**
@@ -504,49 +837,58 @@ class QualityAnalyzer {
   }
 
   /**
-   * Analyze image sharpness using edge detection
-   * @param {Jimp} image - Jimp image object
-   * @returns {Promise<number>} Sharpness score (0-1)
+   * Analyze image sharpness using Laplacian variance of the greyscale image
+   * Flat white background pixels are skipped so wide margins do not read as blur
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} quality - Quality settings (defaults to config.quality)
+   * @returns {Promise<Object>} Sharpness analysis with normalized score (0-1)
    */
-  async analyzeSharpness(image) {
+  async analyzeSharpness(imageBuffer, quality = config.quality) {
     try {
-      // Convert to grayscale for edge detection
-      const grayImage = image.clone().greyscale();
-      
-      // Simple edge detection using gradient magnitude
-      const width = grayImage.getWidth();
-      const height = grayImage.getHeight();
-      let edgeSum = 0;
-      let pixelCount = 0;
-
-      // Sample center region for sharpness
-      const startX = Math.floor(width * 0.25);
-      const endX = Math.floor(width * 0.75);
-      const startY = Math.floor(height * 0.25);
-      const endY = Math.floor(height * 0.75);
+      const { data, info } = await sharp(imageBuffer)
+        .flatten({ background: '#ffffff' })
+        .greyscale()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
 
-      for (let y = startY; y < endY - 1; y++) {
-        for (let x = startX; x < endX - 1; x++) {
-          const current = Jimp.intToRGBA(grayImage.getPixelColor(x, y)).r;
-          const right = Jimp.intToRGBA(grayImage.getPixelColor(x + 1, y)).r;
-          const below = Jimp.intToRGBA(grayImage.getPixelColor(x, y + 1)).r;
+      const { width, height } = info;
+      let sum = 0;
+      let sumSquares = 0;
+      let pixelCount = 0;
 
-          const gradientX = Math.abs(current - right);
-          const gradientY = Math.abs(current - below);
-          const gradient = Math.sqrt(gradientX * gradientX + gradientY * gradientY);
+      for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+          const idx = y * width + x;
+          const center = data[idx];
+          const up = data[idx - width];
+          const down = data[idx + width];
+          const left = data[idx - 1];
+          const right = data[idx + 1];
+
+          // Skip flat white background
+          if (center >= 250 && up >= 250 && down >= 250 && left >= 250 && right >= 250) {
+            continue;
+          }
 
-          edgeSum += gradient;
+          const laplacian = up + down + left + right - 4 * center;
+          sum += laplacian;
+          sumSquares += laplacian * laplacian;
           pixelCount++;
         }
       }
 
-      const averageGradient = edgeSum / pixelCount;
-      const sharpnessScore = Math.min(1, averageGradient / 50); // Normalize to 0-1
+      if (pixelCount === 0) {
+        return { sharpness: 0, variance: 0, sampledPixels: 0 };
+      }
+
+      const mean = sum / pixelCount;
+      const variance = sumSquares / pixelCount - mean * mean;
+      const sharpness = Math.min(1, variance / quality.sharpnessReferenceVariance);
 
-      return sharpnessScore;
+      return { sharpness, variance, sampledPixels: pixelCount };
     } catch (error) {
       Logger.warn('Sharpness analysis failed', { error: error.message });
-      return 0;
+      return { sharpness: 0, variance: 0, sampledPixels: 0 };
     }
   }
 
@@ -0,0 +1,164 @@
+/**
+ * Query Strategy Module for Product Image Search & Download System
+ * Builds per-engine search queries from the templates in config.search.queryTemplates
+ */
+
+const Helpers = require('../utils/helpers');
+const NameNormalizer = require('../utils/nameNormalizer');
+const config = require('../config/settings');
+
+const PLACEHOLDER_PATTERN = /\{(\w+)(\?)?\}/g;
+
+const PLACEHOLDERS = [
+  'brand', 'name', 'baseName', 'type', 'size', 'qualifiers', 'details', 'partNumber',
+  'mpn', 'upc', 'ean', 'barcode', 'model', 'category', 'searchName'
+];
+
+/**
+ * Query Strategy class turning a product into an ordered search plan
+ */
+class QueryStrategy {
+  /**
+   * Create QueryStrategy instance
+   * @param {Object} templates - Template lists keyed by engine (defaults to config.search.queryTemplates)
+   */
+  constructor(templates = config.search.queryTemplates) {
+    this.templates = templates || {};
+    this.validateTemplates();
+  }
+
+  /**
+   * Check that every template list resolves and only uses known placeholders
+   * @throws {Error} On unknown placeholders or aliases
+   */
+  validateTemplates() {
+    if (!Array.isArray(this.templates.default)) {
+      throw new Error('search.queryTemplates.default must be a list of templates');
+    }
+
+    for (const engine of Object.keys(this.templates)) {
+      for (const template of this.getTemplates(engine)) {
+        for (const [, placeholder] of template.matchAll(PLACEHOLDER_PATTERN)) {
+          if (!PLACEHOLDERS.includes(placeholder)) {
+            throw new Error(`Unknown placeholder {${placeholder}} in search.queryTemplates.${engine}. Available placeholders: ${PLACEHOLDERS.join(', ')}`);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the template list of an engine
+   * @param {string} engine - Engine name
+   * @returns {Array<string>} Templates in the order they are tried
+   */
+  getTemplates(engine) {
+    let templates = this.templates[engine] || this.templates.default;
+    if (typeof templates === 'string') {
+      if (!Array.isArray(this.templates[templates])) {
+        throw new Error(`search.queryTemplates.${engine} refers to unknown template list '${templates}'`);
+      }
+      templates = this.templates[templates];
+    }
+    return templates;
+  }
+
+  /**
+   * Get the placeholder values of a product
+   * @param {Object} product - Product object
+   * @returns {Object} Placeholder name to value ('' when unknown)
+   */
+  getPlaceholderValues(product) {
+    const normalized = NameNormalizer.normalize(product.name, product.brand);
+    const { mpn, upc, ean, model } = Helpers.getProductIdentifiers(product);
+    const size = normalized.sizes.map(NameNormalizer.toQuerySize).join(' ');
+    const qualifiers = normalized.qualifiers.join(' ');
+
+    return {
+      brand: normalized.brand || '',
+      name: normalized.coreName,
+      baseName: normalized.baseName,
+      type: (normalized.baseName && Helpers.extractProductType(normalized.baseName)) || normalized.baseName,
+      size,
+      qualifiers,
+      details: [size, qualifiers].filter(Boolean).join(' '),
+      partNumber: mpn || normalized.partNumbers[0] || '',
+      mpn: mpn || '',
+      upc: upc || '',
+      ean: ean || '',
+      barcode: upc || ean || '',
+      model: model && model !== mpn ? model : '',
+      category: product.category ? product.category.toString().trim() : '',
+      searchName: normalized.searchName
+    };
+  }
+
+  /**
+   * Fill in a template
+   * @param {string} template - Template such as '"{brand}" "{partNumber}"'
+   * @param {Object} values - Placeholder values
+   * @returns {string|null} Query, or null when a required placeholder is empty
+   */
+  renderTemplate(template, values) {
+    let missing = false;
+    const query = template
+      .replace(PLACEHOLDER_PATTERN, (match, placeholder, optional) => {
+        const value = values[placeholder] || '';
+        if (!value && !optional) {
+          missing = true;
+        }
+        return value;
+      })
+      .replace(/""/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return missing || !query ? null : query;
+  }
+
+  /**
+   * Build the queries of one engine
+   * @param {Object} product - Product object
+   * @param {string} engine - Engine name ('default' for the shared list)
+   * @returns {Array<Object>} [{template, query}] without duplicate queries
+   */
+  buildQueries(product, engine = 'default') {
+    const values = this.getPlaceholderValues(product);
+    const queries = [];
+    const seen = new Set();
+
+    for (const template of this.getTemplates(engine)) {
+      const query = this.renderTemplate(template, values);
+      if (query && !seen.has(query)) {
+        seen.add(query);
+        queries.push({ template, query });
+      }
+    }
+
+    return queries;
+  }
+
+  /**
+   * Build the search plan across engines: every engine's first query, then every engine's second, ...
+   * @param {Object} product - Product object
+   * @param {Array<string>} engines - Engines in priority order
+   * @returns {Array<Object>} [{rank, engine, template, query}]
+   */
+  buildPlan(product, engines = config.search.engines) {
+    const perEngine = engines.map(engine => ({ engine, queries: this.buildQueries(product, engine) }));
+    const rounds = Math.max(0, ...perEngine.map(entry => entry.queries.length));
+    const plan = [];
+
+    for (let rank = 0; rank < rounds; rank++) {
+      for (const { engine, queries } of perEngine) {
+        if (queries[rank]) {
+          plan.push({ rank: rank + 1, engine, ...queries[rank] });
+        }
+      }
+    }
+
+    return plan;
+  }
+}
+
+module.exports = QueryStrategy;
@@ -0,0 +1,405 @@
+/**
+ * Rate Limiter Module for Product Image Search & Download System
+ * Shared politeness layer for search engines and image hosts: per-host token buckets,
+ * Retry-After handling and circuit breakers
+ */
+
+const Logger = require('../utils/logger');
+const Helpers = require('../utils/helpers');
+const config = require('../config/settings');
+
+const BREAKER_TYPES = ['engine', 'domain'];
+
+let defaultLimiter = null;
+
+/**
+ * Rate Limiter class shared by ImageSearch and DownloadManager
+ *
+ * - Every request to a host takes a token from that host's bucket, which refills at
+ *   requestsPerSecond up to burst tokens (rateLimit.hosts overrides per host suffix).
+ * - A 429 or 503 pauses the host for its Retry-After (or defaultRetryAfterMs).
+ * - A breaker per engine and per domain opens after failureThreshold consecutive failures,
+ *   or at once on a CAPTCHA page, and lets one trial request through after cooldownMs;
+ *   other requests stay suspended until that trial succeeds or fails.
+ */
+class RateLimiter {
+  /**
+   * Create RateLimiter instance
+   * @param {Object} options - Rate limit settings (defaults to config.rateLimit)
+   */
+  constructor(options = config.rateLimit || {}) {
+    this.enabled = options.enabled !== false;
+    this.requestsPerSecond = options.requestsPerSecond || 2;
+    this.burst = options.burst || 2;
+    this.hosts = options.hosts || {};
+    this.defaultRetryAfterMs = options.defaultRetryAfterMs ?? 10000;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 120000;
+    this.failureThreshold = (options.breaker && options.breaker.failureThreshold) || 5;
+    this.cooldownMs = (options.breaker && options.breaker.cooldownMs) ?? 600000;
+    this.buckets = new Map(); // host -> token bucket
+    this.breakers = new Map(); // 'engine:google' / 'domain:cdn.example.com' -> breaker state
+  }
+
+  /**
+   * Get the limiter shared by search and download
+   * @returns {RateLimiter} Limiter built from config.rateLimit
+   */
+  static getDefault() {
+    if (!defaultLimiter) {
+      defaultLimiter = new RateLimiter();
+    }
+    return defaultLimiter;
+  }
+
+  /**
+   * Get the host of a URL
+   * @param {string} url - Request URL
+   * @returns {string|null} Lower-cased host name, or null for an invalid URL
+   */
+  static getHost(url) {
+    try {
+      return new URL(url).hostname.toLowerCase();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Parse a Retry-After header
+   * @param {string|number} value - Delay in seconds or an HTTP date
+   * @param {number} now - Current time in milliseconds
+   * @returns {number|null} Delay in milliseconds, or null when missing or invalid
+   */
+  static parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    const text = value.toString().trim();
+    if (/^\d+(\.\d+)?$/.test(text)) {
+      return Math.round(parseFloat(text) * 1000);
+    }
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+  }
+
+  /**
+   * Decide whether an error says something about the host rather than the resource
+   * @param {Error} error - Request error (axios errors carry response.status)
+   * @returns {string|null} 'captcha', 'rate-limited', 'server-error' or 'network'; null for e.g. a 404
+   */
+  static classifyFailure(error) {
+    if (!error) {
+      return null;
+    }
+    if (error.captcha) {
+      return 'captcha';
+    }
+    const status = error.response && error.response.status;
+    if (status === 429) {
+      return 'rate-limited';
+    }
+    if (status >= 500) {
+      return 'server-error';
+    }
+    if (!status && (error.code || /timeout|net::/i.test(error.message || ''))) {
+      return 'network';
+    }
+    return null;
+  }
+
+  /**
+   * Run a request against a host with rate limiting and the domain breaker
+   * @param {string} url - Request URL
+   * @param {Function} fn - Performs the request; errors should carry response.{status, headers}
+   * @returns {Promise<*>} Result of fn
+   * @throws {Error} The request error, or a circuitOpen error when the domain is suspended
+   */
+  async request(url, fn) {
+    const host = RateLimiter.getHost(url);
+    if (!host) {
+      return await fn();
+    }
+
+    if (this.isOpen('domain', host)) {
+      throw this.createOpenError('domain', host);
+    }
+
+    await this.acquire(host);
+    try {
+      const result = await fn();
+      this.recordSuccess('domain', host);
+      return result;
+    } catch (error) {
+      const response = error.response;
+      if (response && (response.status === 429 || response.status === 503)) {
+        this.pauseHost(host, response.status, response.headers && response.headers['retry-after']);
+      }
+      const reason = RateLimiter.classifyFailure(error);
+      if (reason) {
+        this.recordFailure('domain', host, reason, error.message);
+      } else {
+        this.releaseTrial('domain', host);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for a token of a host's bucket
+   * @param {string} host - Host name
+   * @returns {Promise<void>}
+   */
+  async acquire(host) {
+    if (!this.enabled || !host) {
+      return;
+    }
+
+    // Waiters of one host take their tokens in arrival order
+    const bucket = this.getBucket(host);
+    const turn = bucket.queue.then(() => this.takeToken(bucket));
+    bucket.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * Sleep until the bucket has a token and take it
+   * @param {Object} bucket - Token bucket
+   * @returns {Promise<void>}
+   */
+  async takeToken(bucket) {
+    for (;;) {
+      const now = Date.now();
+      if (bucket.pausedUntil > now) {
+        bucket.waitedMs += bucket.pausedUntil - now;
+        await Helpers.sleep(bucket.pausedUntil - now);
+        continue;
+      }
+
+      bucket.tokens = Math.min(bucket.burst, bucket.tokens + (now - bucket.refilledAt) / 1000 * bucket.rate);
+      bucket.refilledAt = now;
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return;
+      }
+
+      const wait = Math.ceil((1 - bucket.tokens) / bucket.rate * 1000);
+      bucket.waitedMs += wait;
+      await Helpers.sleep(wait);
+    }
+  }
+
+  /**
+   * Get (or create) the bucket of a host
+   * @param {string} host - Host name
+   * @returns {Object} {host, rate, burst, tokens, refilledAt, pausedUntil, waitedMs, queue}
+   */
+  getBucket(host) {
+    if (!this.buckets.has(host)) {
+      const limits = this.getHostLimits(host);
+      this.buckets.set(host, {
+        host,
+        rate: limits.requestsPerSecond,
+        burst: limits.burst,
+        tokens: limits.burst,
+        refilledAt: Date.now(),
+        pausedUntil: 0,
+        waitedMs: 0,
+        queue: Promise.resolve()
+      });
+    }
+    return this.buckets.get(host);
+  }
+
+  /**
+   * Get the limits of a host; a rateLimit.hosts key matches the host and its subdomains
+   * @param {string} host - Host name
+   * @returns {Object} {requestsPerSecond, burst}
+   */
+  getHostLimits(host) {
+    const match = Object.keys(this.hosts)
+      .filter(suffix => host === suffix || host.endsWith(`.${suffix}`))
+      .sort((a, b) => b.length - a.length)[0];
+    const override = match ? this.hosts[match] : {};
+    return {
+      requestsPerSecond: override.requestsPerSecond || this.requestsPerSecond,
+      burst: override.burst || this.burst
+    };
+  }
+
+  /**
+   * Pause a host after a 429/503 response
+   * @param {string} host - Host name
+   * @param {number} status - Response status
+   * @param {string} retryAfter - Retry-After header value
+   * @returns {number} Pause in milliseconds
+   */
+  pauseHost(host, status, retryAfter) {
+    const requested = RateLimiter.parseRetryAfter(retryAfter);
+    const pauseMs = Math.min(this.maxRetryAfterMs, requested ?? this.defaultRetryAfterMs);
+    const bucket = this.getBucket(host);
+    bucket.pausedUntil = Math.max(bucket.pausedUntil, Date.now() + pauseMs);
+    bucket.tokens = 0;
+
+    Logger.warn('Host asked to slow down, pausing requests', { host, status, retryAfter: retryAfter || 'none', pauseMs });
+    return pauseMs;
+  }
+
+  /**
+   * Check whether a request to an engine or domain may go out
+   * An open breaker whose cooldown has passed goes half-open and lets the caller through as the
+   * trial request; until recordSuccess, recordFailure or releaseTrial ends that trial, every other
+   * caller is still refused. Callers getting false must report the outcome of their request
+   * @param {string} type - 'engine' or 'domain'
+   * @param {string} name - Engine name or host
+   * @returns {boolean} True while suspended
+   */
+  isOpen(type, name) {
+    const breaker = this.breakers.get(`${type}:${name}`);
+    if (!breaker || breaker.state === 'closed') {
+      return false;
+    }
+    if (breaker.state === 'open') {
+      if (Date.now() < breaker.openUntil) {
+        return true;
+      }
+      breaker.state = 'half-open';
+      Logger.info('Circuit breaker half-open, trying again', { type, name });
+    }
+    if (breaker.trialInFlight) {
+      return true;
+    }
+    breaker.trialInFlight = true;
+    return false;
+  }
+
+  /**
+   * Check whether an engine or domain is suspended, without claiming the trial request
+   * @param {string} type - 'engine' or 'domain'
+   * @param {string} name - Engine name or host
+   * @returns {boolean} True while open and cooling down, or while a trial request is running
+   */
+  isSuspended(type, name) {
+    const breaker = this.breakers.get(`${type}:${name}`);
+    if (!breaker || breaker.state === 'closed') {
+      return false;
+    }
+    return breaker.state === 'open' ? Date.now() < breaker.openUntil : breaker.trialInFlight;
+  }
+
+  /**
+   * End a trial request that neither succeeded nor failed in a way that counts (e.g. a 404),
+   * so the next caller becomes the trial
+   * @param {string} type - 'engine' or 'domain'
+   * @param {string} name - Engine name or host
+   */
+  releaseTrial(type, name) {
+    const breaker = this.breakers.get(`${type}:${name}`);
+    if (breaker) {
+      breaker.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Record a successful request
+   * @param {string} type - 'engine' or 'domain'
+   * @param {string} name - Engine name or host
+   */
+  recordSuccess(type, name) {
+    const breaker = this.breakers.get(`${type}:${name}`);
+    if (!breaker) {
+      return;
+    }
+    if (breaker.state === 'half-open') {
+      Logger.info('Circuit breaker closed', { type, name });
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request, opening the breaker when the limit is reached
+   * @param {string} type - 'engine' or 'domain'
+   * @param {string} name - Engine name or host
+   * @param {string} reason - Failure reason, see classifyFailure
+   * @param {string} message - Error message, kept for the report
+   */
+  recordFailure(type, name, reason, message = '') {
+    if (!BREAKER_TYPES.includes(type)) {
+      throw new Error(`Unknown circuit breaker type '${type}'. Use engine or domain`);
+    }
+
+    const key = `${type}:${name}`;
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, { type, name, state: 'closed', failures: 0, trips: 0, openUntil: 0, trialInFlight: false, firstTrippedAt: null, lastReason: null, lastError: null });
+    }
+    const breaker = this.breakers.get(key);
+    breaker.failures++;
+    breaker.lastReason = reason;
+    breaker.lastError = message;
+    breaker.trialInFlight = false;
+
+    const trip = breaker.state === 'half-open' || reason === 'captcha' || breaker.failures >= this.failureThreshold;
+    if (trip && breaker.state !== 'open') {
+      breaker.state = 'open';
+      breaker.openUntil = Date.now() + this.cooldownMs;
+      breaker.trips++;
+      breaker.firstTrippedAt = breaker.firstTrippedAt || new Date().toISOString();
+      Logger.warn('Circuit breaker tripped, suspending requests', {
+        type,
+        name,
+        reason,
+        failures: breaker.failures,
+        suspendedFor: `${Math.round(this.cooldownMs / 1000)}s`
+      });
+    }
+  }
+
+  /**
+   * Create the error thrown for a request to a suspended domain
+   * @param {string} type - 'engine' or 'domain'
+   * @param {string} name - Engine name or host
+   * @returns {Error} Error with rule 'circuitOpen'
+   */
+  createOpenError(type, name) {
+    const breaker = this.breakers.get(`${type}:${name}`);
+    const error = new Error(`${type === 'engine' ? 'Engine' : 'Domain'} ${name} suspended after repeated failures (${breaker.lastReason})`);
+    error.rule = 'circuitOpen';
+    error.circuitOpen = true;
+    return error;
+  }
+
+  /**
+   * Get the breakers that tripped during the run
+   * @returns {Array} [{type, name, state, trips, failures, lastReason, lastError, firstTrippedAt, suspendedUntil}]
+   */
+  getBreakerReport() {
+    return [...this.breakers.values()]
+      .filter(breaker => breaker.trips > 0)
+      .map(breaker => ({
+        type: breaker.type,
+        name: breaker.name,
+        state: breaker.state,
+        trips: breaker.trips,
+        failures: breaker.failures,
+        lastReason: breaker.lastReason,
+        lastError: breaker.lastError,
+        firstTrippedAt: breaker.firstTrippedAt,
+        suspendedUntil: breaker.state === 'open' ? new Date(breaker.openUntil).toISOString() : null
+      }));
+  }
+
+  /**
+   * Get per-host throttling totals
+   * @returns {Array} [{host, waitedMs, pausedUntil}]
+   */
+  getHostStats() {
+    return [...this.buckets.values()].map(bucket => ({
+      host: bucket.host,
+      waitedMs: bucket.waitedMs,
+      pausedUntil: bucket.pausedUntil > Date.now() ? new Date(bucket.pausedUntil).toISOString() : null
+    }));
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,140 @@
+/**
+ * Search Cache Module for Product Image Search & Download System
+ * Keeps search engine results on disk so reruns do not repeat the same queries
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const config = require('../config/settings');
+
+/**
+ * Search Cache class storing one JSON file per engine, region and query
+ *
+ * Modes:
+ * - normal:  use fresh entries, search and store on a miss or an expired entry
+ * - refresh: always search, and overwrite the stored entries
+ * - only:    never search; use stored entries even when expired (offline re-runs)
+ */
+class SearchCache {
+  /**
+   * Create SearchCache instance
+   * @param {Object} options - {enabled, directory, ttlHours, mode} (defaults to config.search.cache)
+   */
+  constructor(options = config.search.cache || {}) {
+    this.enabled = options.enabled !== false;
+    this.directory = path.resolve(options.directory || 'cache/search');
+    this.ttlMs = (options.ttlHours ?? 168) * 60 * 60 * 1000;
+    this.mode = options.mode || 'normal';
+    this.stats = { hits: 0, misses: 0, expired: 0, stored: 0 };
+
+    if (!['normal', 'refresh', 'only'].includes(this.mode)) {
+      throw new Error(`Unknown search cache mode '${this.mode}'. Use normal, refresh or only`);
+    }
+  }
+
+  /**
+   * Normalize a query so trivially different spellings share an entry
+   * Quotes are kept: a quoted phrase searches differently from loose words
+   * @param {string} query - Search query
+   * @returns {string} Normalized query
+   */
+  static normalizeQuery(query) {
+    return (query || '').toString().normalize('NFC').toLowerCase().replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Get the file of a cache entry
+   * @param {string} engine - Engine name
+   * @param {string} query - Search query
+   * @param {string} region - Engine region
+   * @returns {string} Path of the entry's JSON file
+   */
+  getEntryPath(engine, query, region = 'global') {
+    const key = `${engine}\u0000${region}\u0000${SearchCache.normalizeQuery(query)}`;
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    return path.join(this.directory, engine, `${hash}.json`);
+  }
+
+  /**
+   * Look up the stored results of a query
+   * @param {string} engine - Engine name
+   * @param {string} query - Search query
+   * @param {string} region - Engine region
+   * @returns {Promise<Object|null>} {urls, texts, cachedAt, expired} or null when nothing usable is stored
+   */
+  async get(engine, query, region = 'global') {
+    if (!this.enabled || this.mode === 'refresh') {
+      return null;
+    }
+
+    const entryPath = this.getEntryPath(engine, query, region);
+    let entry = null;
+    try {
+      entry = await fs.readJson(entryPath);
+    } catch (error) {
+      // Missing or unreadable entries are misses; a corrupt file is overwritten by the next store
+      entry = null;
+    }
+
+    if (!entry || !Array.isArray(entry.urls)) {
+      this.stats.misses++;
+      return null;
+    }
+
+    const expired = Date.now() - new Date(entry.cachedAt).getTime() > this.ttlMs;
+    if (expired && this.mode !== 'only') {
+      this.stats.expired++;
+      return null;
+    }
+
+    this.stats.hits++;
+    return { urls: entry.urls, texts: entry.texts || {}, cachedAt: entry.cachedAt, expired };
+  }
+
+  /**
+   * Store the results of a query
+   * @param {string} engine - Engine name
+   * @param {string} query - Search query
+   * @param {string} region - Engine region
+   * @param {Array} urls - Image URLs returned by the engine
+   * @param {Object} texts - URL -> alt/title text shown on the results page
+   * @returns {Promise<void>}
+   */
+  async set(engine, query, region, urls, texts = {}) {
+    if (!this.enabled || this.mode === 'only') {
+      return;
+    }
+
+    const entryPath = this.getEntryPath(engine, query, region);
+    try {
+      await fs.ensureDir(path.dirname(entryPath));
+      // Write then rename, so an interrupted run never leaves a half-written entry
+      const tempPath = `${entryPath}.tmp`;
+      await fs.writeJson(tempPath, {
+        engine,
+        region,
+        query,
+        normalizedQuery: SearchCache.normalizeQuery(query),
+        cachedAt: new Date().toISOString(),
+        urls,
+        texts
+      }, { spaces: 2 });
+      await fs.move(tempPath, entryPath, { overwrite: true });
+      this.stats.stored++;
+    } catch (error) {
+      Logger.warn('Failed to write search cache entry', { engine, query, error: error.message });
+    }
+  }
+
+  /**
+   * Get hit/miss counts of this run
+   * @returns {Object} {mode, hits, misses, expired, stored}
+   */
+  getStats() {
+    return { mode: this.mode, ...this.stats };
+  }
+}
+
+module.exports = SearchCache;
@@ -33,21 +33,28 @@ class Helpers {
   /**
    * Generate search query variations for a product
    * @param {Object} product - Product data
+   * @param {string} engine - Engine whose query templates to use (search.queryTemplates)
    * @returns {Array<string>} Array of search queries
    */
-  static generateSearchQueries(product) {
-    const queries = [];
-    const { name, brand } = product;
-    
-    if (name && brand) {
-      // SPEED OPTIMIZED: Only most effective search patterns
-      queries.push(`"${name}" "${brand}"`); // Most precise search only
-      queries.push(`${name} ${brand}`); // Basic fallback only
-    } else if (name) {
-      queries.push(`"${name}"`); // Single precise search
+  static generateSearchQueries(product, engine = 'default') {
+    // Required here: QueryStrategy itself depends on Helpers
+    const QueryStrategy = require('../modules/queryStrategy');
+    return new QueryStrategy().buildQueries(product, engine).map(entry => entry.query);
+  }
+
+  /**
+   * Get the identifying attributes of a product (part number, barcodes, model)
+   * @param {Object} product - Product data
+   * @returns {Object} {mpn, upc, ean, model} with only the attributes present
+   */
+  static getProductIdentifiers(product) {
+    const identifiers = {};
+    for (const field of ['mpn', 'upc', 'ean', 'model']) {
+      if (product[field]) {
+        identifiers[field] = product[field].toString().trim();
+      }
     }
-    
-    return queries;
+    return identifiers;
   }
 
   /**
@@ -94,8 +101,44 @@ class Helpers {
    * @returns {boolean} Whether extension is allowed
    */
   static isAllowedExtension(extension) {
-    const normalizedExt = extension.toLowerCase().replace('.', '');
-    return config.quality.allowedFormats.includes(normalizedExt);
+    return Helpers.isAllowedInputFormat(extension);
+  }
+
+  /**
+   * Normalize an extension, MIME type or sharp format name to a format name
+   * @param {string} format - e.g. '.JPG', 'image/jpeg; charset=binary', 'jpeg'
+   * @returns {string} Normalized format ('jpg' becomes 'jpeg')
+   */
+  static normalizeImageFormat(format) {
+    const normalized = String(format || '')
+      .toLowerCase()
+      .split(';')[0]
+      .trim()
+      .replace(/^image\//, '')
+      .replace(/^\./, '');
+    return normalized === 'jpg' ? 'jpeg' : normalized;
+  }
+
+  /**
+   * Check if a source image format may be downloaded
+   * @param {string} format - Extension, MIME type or format name
+   * @returns {boolean} Whether the format is in quality.allowedFormats
+   */
+  static isAllowedInputFormat(format) {
+    const normalized = Helpers.normalizeImageFormat(format);
+    return config.quality.allowedFormats.some(f => Helpers.normalizeImageFormat(f) === normalized);
+  }
+
+  /**
+   * Get the configured output format for saved images
+   * @returns {Object} {format, extension}
+   */
+  static getOutputFormat() {
+    const format = Helpers.normalizeImageFormat(config.processing.outputFormat);
+    if (!config.processing.outputFormats.includes(format)) {
+      throw new Error(`Unsupported output format '${config.processing.outputFormat}'. Supported formats: ${config.processing.outputFormats.join(', ')}`);
+    }
+    return { format, extension: format === 'jpeg' ? '.jpg' : `.${format}` };
   }
 
   /**
@@ -161,6 +204,42 @@ class Helpers {
     return width / height;
   }
 
+  /**
+   * Resolve the quality settings for a named profile
+   * Profile values override the base config.quality block, and the quality block of a
+   * custom --config (config.qualityOverrides) overrides the profile
+   * @param {string} profileName - Profile name (defaults to config.quality.profile)
+   * @returns {Object} Quality settings with a `profile` field naming the applied profile
+   */
+  static getQualitySettings(profileName) {
+    const requested = profileName || config.quality.profile;
+    const profiles = config.qualityProfiles || {};
+
+    if (!requested) {
+      return { ...config.quality, profile: 'default' };
+    }
+
+    const name = Helpers.isKnownQualityProfile(requested);
+    if (!name) {
+      throw new Error(`Unknown quality profile '${requested}'. Available profiles: ${Object.keys(profiles).join(', ')}`);
+    }
+
+    return { ...config.quality, ...profiles[name], ...(config.qualityOverrides || {}), profile: name };
+  }
+
+  /**
+   * Check if a quality profile name is defined, ignoring case (MARKETPLACE is marketplace)
+   * @param {string} profileName - Profile name
+   * @returns {string|null} Profile name as written in config.qualityProfiles, or null when unknown
+   */
+  static isKnownQualityProfile(profileName) {
+    const wanted = (profileName || '').toString().trim().toLowerCase();
+    if (!wanted) {
+      return null;
+    }
+    return Object.keys(config.qualityProfiles || {}).find(name => name.toLowerCase() === wanted) || null;
+  }
+
   /**
    * Check if aspect ratio is within preferred range
    * @param {number} aspectRatio - Calculated aspect ratio
@@ -199,6 +278,40 @@ class Helpers {
       return false;
     }
   }
+
+  /**
+   * Resolve a link or image source found in a page to an absolute http(s) URL
+   * Mirrors what the browser's img.src / a.href return, so extractors work on saved HTML too
+   * @param {string} src - Attribute value, possibly relative or protocol-relative
+   * @param {string} baseUrl - URL of the page the attribute came from
+   * @returns {string|null} Absolute URL, or null for empty, data: and other non-http values
+   */
+  static resolveUrl(src, baseUrl) {
+    if (!src || typeof src !== 'string' || !src.trim()) {
+      return null;
+    }
+    try {
+      const url = baseUrl ? new URL(src.trim(), baseUrl) : new URL(src.trim());
+      return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get the text a results page shows for an image: its alt, title and aria-label, and those of its link
+   * @param {Function} $ - Cheerio document of the page
+   * @param {Object} element - Image element
+   * @returns {string} Unique texts joined with ' | ' (empty when there are none)
+   */
+  static getImageText($, element) {
+    const image = $(element);
+    const link = image.closest('a');
+    const texts = [image.attr('alt'), image.attr('title'), image.attr('aria-label'), link.attr('title'), link.attr('aria-label')]
+      .filter(text => text && text.trim())
+      .map(text => text.trim());
+    return [...new Set(texts)].join(' | ');
+  }
 }
 
 module.exports = Helpers;
\ No newline at end of file
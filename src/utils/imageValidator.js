@@ -4,6 +4,7 @@ const similarity = require('string-similarity');
 const { createHash } = require('crypto');
 const path = require('path');
 const fs = require('fs-extra');
+const NameNormalizer = require('./nameNormalizer');
 
 /**
  * Validates image matches with product name and detects duplicates
@@ -17,6 +18,7 @@ class ImageValidator {
     this.duplicateThreshold = config.quality.duplicateThreshold || 0.9;
     this.matchThreshold = config.quality.imageMatchingThreshold || 0.70;
     this.perfectMatchThreshold = config.quality.perfectMatchThreshold || 1.0;
+    this.identifierMatchConfidence = config.quality.identifierMatchConfidence || 0.95;
     this.brandMatchWeight = 0.40; // Increased brand matching importance
     }
 
@@ -84,10 +86,22 @@ class ImageValidator {
 
     /**
      * Validate if image matches product name/description and brand
+     * context: { identifiers: {mpn, upc, ean, model}, sourceUrl, pageText } - a part number or
+     * barcode found in the source file name or in pageText (the alt/title text the search results
+     * page showed for the image) is strong evidence on its own
      */
-    async validateImageMatch(imagePath, productName, itemId, brandName = null) {
+    async validateImageMatch(imagePath, productName, itemId, brandName = null, context = {}) {
         try {
-            const confidence = await this.calculateMatchConfidence(imagePath, productName, brandName);
+            let confidence = await this.calculateMatchConfidence(imagePath, productName, brandName);
+
+            const identifierMatch = this.findIdentifierMatch(context.identifiers, [
+                context.sourceUrl ? this.getUrlFilename(context.sourceUrl) : '',
+                context.pageText || ''
+            ]);
+            if (identifierMatch) {
+                confidence = Math.max(confidence, this.identifierMatchConfidence);
+                this.logger.info(`🔖 ${identifierMatch.field.toUpperCase()} ${identifierMatch.value} found in image source for ${itemId}`);
+            }
             
             // Enhanced logging with brand information
             const brandInfo = brandName && brandName !== 'NONE' ? ` (Brand: ${brandName})` : ' (Unbranded)';
@@ -110,7 +124,8 @@ class ImageValidator {
                 confidence: confidence,
                 needsNSFolder: !isHighConfidence,
                 isPerfectMatch: isPerfectMatch,
-                brandMatched: brandName && brandName !== 'NONE'
+                brandMatched: brandName && brandName !== 'NONE',
+                identifierMatch
             };
 
         } catch (error) {
@@ -120,11 +135,45 @@ class ImageValidator {
                 confidence: 0,
                 needsNSFolder: true,
                 isPerfectMatch: false,
-                brandMatched: false
+                brandMatched: false,
+                identifierMatch: null
             };
         }
     }
 
+    /**
+     * Find a product identifier (MPN, barcode, model) in any of the given texts
+     * Punctuation is ignored so "6290-2" also matches "62902"; very short values are skipped
+     */
+    findIdentifierMatch(identifiers = {}, texts = []) {
+        const normalize = value => value.toString().toLowerCase().replace(/[^a-z0-9]/g, '');
+        const haystacks = texts.filter(Boolean).map(normalize);
+
+        for (const field of ['mpn', 'upc', 'ean', 'model']) {
+            const value = identifiers && identifiers[field];
+            if (!value) continue;
+
+            const needle = normalize(value);
+            if (needle.length < 4) continue;
+
+            if (haystacks.some(text => text.includes(needle))) {
+                return { field, value };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get the decoded file name part of an image URL
+     */
+    getUrlFilename(url) {
+        try {
+            return decodeURIComponent(path.basename(new URL(url).pathname));
+        } catch (error) {
+            return path.basename(url);
+        }
+    }
+
     /**
      * Calculate match confidence between image and product name/brand
      */
@@ -192,6 +241,7 @@ class ImageValidator {
 
     /**
      * Extract product tokens from name and brand
+     * Uses the normalized name, so (BRAND) tags, abbreviations and inch marks are already resolved
      */
     extractProductTokens(productName, brandName = null) {
         const tokens = {
@@ -200,20 +250,26 @@ class ImageValidator {
             materials: [],
             brands: [],
             attributes: [],
-            dimensions: []
+            dimensions: [],
+            partNumbers: []
         };
 
-        const text = productName.toLowerCase();
+        const normalized = NameNormalizer.normalize(productName, brandName);
+        const text = normalized.searchName.toLowerCase();
         
-        // Add brand to tokens if available
-        if (brandName && brandName !== 'NONE') {
-            tokens.brands.push(brandName.toLowerCase());
+        // Add brand to tokens if available (the brand column, or a brand tag in the name)
+        if (normalized.brand) {
+            const brand = normalized.brand.toLowerCase();
+            tokens.brands.push(brand);
             // Also add brand variations (e.g., "HARRIS" -> ["harris", "harr"])
-            if (brandName.length > 3) {
-                tokens.brands.push(brandName.toLowerCase().substring(0, 4));
+            if (brand.length > 3) {
+                tokens.brands.push(brand.substring(0, 4));
             }
         }
 
+        tokens.partNumbers = normalized.partNumbers.map(partNumber => partNumber.toLowerCase());
+        tokens.dimensions = normalized.sizes.map(size => NameNormalizer.toQuerySize(size).toLowerCase());
+
         // Extract sizes
         const sizePatterns = [
             /\b(xs|s|m|l|xl|xxl|xxxl)\b/g,
@@ -245,8 +301,12 @@ class ImageValidator {
             }
         });
 
-        // Extract other attributes
-        tokens.attributes = text.split(/\s+/).filter(word => word.length > 2);
+        // Extract other attributes (descriptive words, part numbers and expanded abbreviations, no sizes)
+        tokens.attributes = [normalized.coreName, ...normalized.qualifiers]
+            .join(' ')
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(word => word.length > 2);
 
         return tokens;
     }
@@ -0,0 +1,175 @@
+/**
+ * Item name normalization for the Product Image Search & Download System
+ * Splits names like `Allen Bolt 1" x 2-1/2" NC (FT)` into searchable parts
+ */
+
+const config = require('../config/settings');
+
+// A single measurement: 2-1/2, 3/8, 10.5 followed by an optional unit
+const NUMBER = '(?:\\d{1,2}-\\d{1,2}\\/\\d{1,2}|\\d{1,2}\\/\\d{1,2}|\\d+(?:\\.\\d+)?)';
+const UNIT = '(?:"(?:ID|OD|L|W)?|\\s?(?:mm|cm|inches|inch|in)\\b)';
+const MEASURE = `${NUMBER}${UNIT}?`;
+// One or more measurements joined by "x", e.g. 1" x 2-1/2" or 100 x 3 x 16 mm
+const SIZE_PATTERN = new RegExp(`(?<![\\w.-])${MEASURE}(?:\\s*[x×]\\s*${MEASURE})*(?![\\w-])`, 'gi');
+const SIZE_PLACEHOLDER = /^\u0000(\d+)\u0000$/;
+
+/**
+ * Name normalizer turning free-text item names into a structured product
+ */
+class NameNormalizer {
+  /**
+   * Normalize an item name
+   * @param {string} name - Item name as written in the input file
+   * @param {string} brand - Brand column value ('NONE' and similar mean unbranded)
+   * @returns {Object} {original, brand, brandTags, baseName, coreName, partNumbers, sizes, qualifiers, packaging, searchName}
+   */
+  static normalize(name, brand = null) {
+    const abbreviations = NameNormalizer.getAbbreviations();
+    const explicitBrand = NameNormalizer.isUnbranded(brand) ? null : brand.toString().trim();
+    const result = {
+      original: name,
+      brand: explicitBrand,
+      brandTags: [],
+      baseName: '',
+      coreName: '',
+      partNumbers: [],
+      sizes: [],
+      qualifiers: [],
+      packaging: [],
+      searchName: ''
+    };
+
+    let text = (name || '').toString()
+      .replace(/[“”″]|''/g, '"')
+      .replace(/\s+/g, ' ');
+
+    // [20 kgs/box] is packaging, never part of what the product looks like
+    text = text.replace(/\[([^\]]*)\]/g, (match, inner) => {
+      result.packaging.push(inner.trim());
+      return ' ';
+    });
+
+    // (HARRIS) is a brand tag, (FT) an abbreviation, (Bastard) a descriptor, (1/8" x 14") a size
+    text = text.replace(/\(([^()]*)\)/g, (match, inner) => {
+      const tag = inner.trim();
+      const expansion = abbreviations[tag.toUpperCase()];
+      if (expansion) {
+        result.qualifiers.push(expansion);
+      } else if (NameNormalizer.isBrandTag(tag, explicitBrand)) {
+        result.brandTags.push(tag);
+      } else if (/\d/.test(tag)) {
+        return ` ${tag} `;
+      } else if (tag) {
+        result.qualifiers.push(tag);
+      }
+      return ' ';
+    });
+
+    // Swap sizes for placeholders so their position in the name is kept
+    text = text.replace(SIZE_PATTERN, (match) => {
+      // A bare number (417171, VG 150) is not a size without a unit, fraction or "x"
+      if (!/[x×\/"]|[a-z]$/i.test(match)) {
+        return match;
+      }
+      result.sizes.push(match.replace(/\s*[x×]\s*/gi, ' x ').trim());
+      return ` \u0000${result.sizes.length - 1}\u0000 `;
+    });
+
+    const coreWords = [];
+    const searchWords = [];
+    for (const rawToken of text.split(' ')) {
+      const token = rawToken.replace(/^[,;:]+|[,;:]+$/g, '');
+      const sizeMatch = token.match(SIZE_PLACEHOLDER);
+
+      if (sizeMatch) {
+        searchWords.push(NameNormalizer.toQuerySize(result.sizes[Number(sizeMatch[1])]));
+      } else if (!/[a-z0-9]/i.test(token) || /^x$/i.test(token)) {
+        continue;
+      } else if (abbreviations[token] && token.length > 1) {
+        // Only upper-case bare tokens are abbreviations: "10 ft" is feet, "st" may be a word
+        result.qualifiers.push(abbreviations[token]);
+        searchWords.push(abbreviations[token]);
+      } else if (NameNormalizer.isPartNumber(token)) {
+        result.partNumbers.push(token);
+        coreWords.push(token);
+        searchWords.push(token);
+      } else {
+        coreWords.push(token);
+        searchWords.push(token);
+      }
+    }
+
+    result.qualifiers = [...new Set(result.qualifiers)];
+    result.coreName = coreWords.join(' ');
+    result.baseName = coreWords.filter(word => !result.partNumbers.includes(word)).join(' ');
+    result.searchName = [...searchWords, ...result.qualifiers.filter(q => !searchWords.includes(q))].join(' ');
+    result.brand = explicitBrand || result.brandTags[0] || null;
+
+    return result;
+  }
+
+  /**
+   * Check whether a brand column value means the product has no brand
+   * @param {string} brand - Brand column value
+   * @returns {boolean} True for empty values and names.unbrandedValues
+   */
+  static isUnbranded(brand) {
+    if (brand === null || brand === undefined) {
+      return true;
+    }
+    const value = brand.toString().trim().toUpperCase();
+    return !value || config.names.unbrandedValues.includes(value);
+  }
+
+  /**
+   * Check whether a parenthesized tag names the brand
+   * @param {string} tag - Text inside the parentheses
+   * @param {string|null} brand - Brand column value
+   * @returns {boolean} True when the tag equals the brand or is an all-caps name
+   */
+  static isBrandTag(tag, brand) {
+    const key = value => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+    if (brand && key(tag) === key(brand)) {
+      return true;
+    }
+    return /^[A-Z][A-Z0-9&.\- ]{2,}$/.test(tag) && /[A-Z]{3}/.test(tag);
+  }
+
+  /**
+   * Check whether a name token looks like a part or model number (6290-2, CB-64A, 32207JR, 417171)
+   * @param {string} token - Name token
+   * @returns {boolean} True for part numbers
+   */
+  static isPartNumber(token) {
+    if (!/^(?=.*\d)[a-z0-9]+(?:[-/.][a-z0-9]+)*$/i.test(token) || /^\d+\.\d+$/.test(token)) {
+      return false;
+    }
+    return /[a-z]/i.test(token) || /[-/]/.test(token) || token.length >= 4;
+  }
+
+  /**
+   * Write a size without inch marks, which break quoted search phrases
+   * @param {string} size - Size as found in the name, e.g. 2"ID x 2-3/4"OD
+   * @returns {string} Query-safe size, e.g. 2 inch ID x 2-3/4 inch OD
+   */
+  static toQuerySize(size) {
+    return size
+      .replace(/"(ID|OD|L|W)?/gi, (match, suffix) => (suffix ? ` inch ${suffix}` : ' inch'))
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Get the configured abbreviations keyed in upper case
+   * @returns {Object} Abbreviation to expansion map
+   */
+  static getAbbreviations() {
+    const abbreviations = {};
+    for (const [key, value] of Object.entries(config.names.abbreviations || {})) {
+      abbreviations[key.toUpperCase()] = value;
+    }
+    return abbreviations;
+  }
+}
+
+module.exports = NameNormalizer;
@@ -0,0 +1,173 @@
+/**
+ * Offline extractor and block page tests against saved pages in tests/fixtures
+ * Refresh a fixture by running with search.recordHtmlDir set and trimming the saved page
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const cheerio = require('cheerio');
+const EngineRegistry = require('../src/modules/engineRegistry');
+const BrandWebsiteScraper = require('../src/modules/brandWebsiteScraper');
+const BlockPageDetector = require('../src/modules/blockPageDetector');
+const BlockPageError = require('../src/modules/blockPageError');
+const RateLimiter = require('../src/modules/rateLimiter');
+const ImageValidator = require('../src/utils/imageValidator');
+const Logger = require('../src/utils/logger');
+const brandWebsites = require('../src/config/brandWebsites');
+
+const ENGINE_FIXTURES = path.join(__dirname, 'fixtures', 'engines');
+const BRAND_FIXTURES = path.join(__dirname, 'fixtures', 'brands');
+const BLOCK_PAGE_FIXTURES = path.join(__dirname, 'fixtures', 'block-pages');
+
+const engineExpectations = require('./fixtures/engines/expected.json');
+const brandExpectations = require('./fixtures/brands/expected.json');
+const blockPageExpectations = require('./fixtures/block-pages/expected.json');
+
+const loadPage = (directory, fixture) => fs.readFileSync(path.join(directory, fixture), 'utf8');
+
+describe('Engine extractors', () => {
+  const registry = new EngineRegistry();
+  const pageEngines = registry.list().filter(name => registry.get(name).transport !== 'group');
+
+  test('every built-in engine has a saved results page', () => {
+    expect(Object.keys(engineExpectations).sort()).toEqual([...pageEngines].sort());
+  });
+
+  describe.each(pageEngines)('%s', (name) => {
+    const engine = registry.get(name);
+    const expected = engineExpectations[name];
+
+    test('extracts the expected image URLs', () => {
+      const html = loadPage(ENGINE_FIXTURES, `${name}.html`);
+      const urls = EngineRegistry.extractFromHtml(engine, html, {
+        query: expected.query,
+        baseUrl: engine.buildUrl(expected.query)
+      });
+
+      expect(urls).toEqual(expected.urls);
+    });
+
+    test('finds its results with the expected selector', () => {
+      const $ = cheerio.load(loadPage(ENGINE_FIXTURES, `${name}.html`));
+      const selector = (engine.waitForSelectors || []).find(candidate => $(candidate).length > 0);
+
+      expect(selector).toBe(expected.selector || (engine.waitForSelectors ? engine.waitForSelectors[0] : undefined));
+    });
+  });
+
+  test('result titles are kept with each image and count as part-number evidence', async () => {
+    const amazon = registry.get('amazon');
+    const texts = new Map();
+    const urls = EngineRegistry.extractFromHtml(amazon, loadPage(ENGINE_FIXTURES, 'amazon.html'), {
+      baseUrl: amazon.buildUrl(engineExpectations.amazon.query),
+      texts
+    });
+    EngineRegistry.extractFromHtml(registry.get('bing'), loadPage(ENGINE_FIXTURES, 'bing.html'), { baseUrl: 'https://www.bing.com/', texts });
+
+    expect(texts.get(urls[0])).toBe('Dormer A002 5.0mm HSS Jobber Drill');
+    expect(texts.get(engineExpectations.bing.urls[0])).toBe('Dormer A002 drill');
+
+    // The Amazon file name is cryptic; only the result title carries the part number
+    const validator = new ImageValidator(Logger);
+    const context = { identifiers: { mpn: 'A-002' }, sourceUrl: urls[0] };
+    const withoutTitle = await validator.validateImageMatch('out/1/image1_a1b2c3d4.jpg', 'Jobber Drill 5mm', '1', 'DORMER', context);
+    const withTitle = await validator.validateImageMatch('out/1/image1_a1b2c3d4.jpg', 'Jobber Drill 5mm', '1', 'DORMER', { ...context, pageText: texts.get(urls[0]) });
+
+    expect(withoutTitle.identifierMatch).toBeNull();
+    expect(withTitle.identifierMatch).toEqual({ field: 'mpn', value: 'A-002' });
+    expect(withTitle.confidence).toBeGreaterThanOrEqual(0.95);
+  });
+
+  test('engines waiting for result selectors reject a page without results', () => {
+    const html = loadPage(ENGINE_FIXTURES, 'empty-results.html');
+
+    for (const name of pageEngines.filter(n => registry.get(n).waitForSelectors)) {
+      expect(() => EngineRegistry.extractFromHtml(registry.get(name), html, { baseUrl: 'https://example.com/' }))
+        .toThrow(/No product items found/);
+    }
+    expect(EngineRegistry.extractFromHtml(registry.get('bing'), html, { baseUrl: 'https://www.bing.com/' })).toEqual([]);
+  });
+});
+
+describe('Brand website extractors', () => {
+  test.each(brandExpectations.productLinks)('$brand search results link to product pages', ({ brand, fixture, baseUrl, urls }) => {
+    const $ = cheerio.load(loadPage(BRAND_FIXTURES, fixture));
+
+    expect(BrandWebsiteScraper.extractProductLinks($, brandWebsites[brand].productPathPattern, baseUrl)).toEqual(urls);
+  });
+
+  test.each(brandExpectations.productImages)('$brand product page images', ({ brand, fixture, baseUrl, urls }) => {
+    const $ = cheerio.load(loadPage(BRAND_FIXTURES, fixture));
+    const images = BrandWebsiteScraper.extractImageUrls($, brandWebsites[brand].imageSelectors, baseUrl);
+
+    expect(BrandWebsiteScraper.selectHighQualityImages(images)).toEqual(urls);
+  });
+
+  test.each(brandExpectations.menuImages)('$brand menu images for $productName', ({ brand, fixture, baseUrl, productName, urls }) => {
+    const $ = cheerio.load(loadPage(BRAND_FIXTURES, fixture));
+
+    expect(BrandWebsiteScraper.extractMenuImages($, productName, brandWebsites[brand].imageSelectors, baseUrl)).toEqual(urls);
+  });
+
+  test('path and menu brand sites try part numbers and models before the name', async () => {
+    const visited = [];
+    const pages = {
+      'https://apple.com/iphone-13/': '<div class="hero-image"><img src="/v/iphone-13/hero_large.jpg"></div>',
+      'https://www.jollibee.com/menu': loadPage(BRAND_FIXTURES, 'jollibee-menu.html')
+    };
+    let current = null;
+    const page = {
+      setUserAgent: async () => {},
+      setViewport: async () => {},
+      goto: async (url) => { visited.push(url); current = url; },
+      waitForTimeout: async () => {},
+      content: async () => pages[current] || '<html></html>',
+      url: () => current,
+      close: async () => {}
+    };
+    const scraper = new BrandWebsiteScraper(Logger);
+    scraper.browser = { newPage: async () => page };
+
+    expect(await scraper.searchBrandWebsite('Smartphone 128GB', 'APPLE', { model: 'iPhone 13' }))
+      .toEqual(['https://apple.com/v/iphone-13/hero_large.jpg']);
+    expect(visited).toEqual(['https://apple.com/iphone-13/']);
+
+    expect(await scraper.searchBrandWebsite('Jolly Spaghetti', 'JOLLIBEE', { model: 'Chickenjoy' }))
+      .toEqual(['https://www.jollibee.com/images/menu/chickenjoy-1pc.png']);
+    expect(await scraper.searchBrandWebsite('Jolly Spaghetti', 'JOLLIBEE', { mpn: 'JB-0000' }))
+      .toEqual(['https://www.jollibee.com/images/menu/jolly-spaghetti.png']);
+  });
+
+  test.each(brandExpectations.genericImages)('generic brand page $fixture', ({ fixture, baseUrl, urls }) => {
+    const $ = cheerio.load(loadPage(BRAND_FIXTURES, fixture));
+
+    expect(BrandWebsiteScraper.extractImageUrls($, brandWebsites.GENERIC.commonSelectors, baseUrl)).toEqual(urls);
+  });
+});
+
+describe('Block page detection', () => {
+  test.each(blockPageExpectations)('$fixture at $url is a $kind page ($signature)', ({ fixture, url, kind, signature }) => {
+    const html = loadPage(BLOCK_PAGE_FIXTURES, fixture);
+
+    expect(BlockPageDetector.detect({ url, html })).toEqual({ kind, signature, url });
+  });
+
+  test('saved results pages are not mistaken for block pages', () => {
+    const registry = new EngineRegistry();
+
+    for (const name of Object.keys(engineExpectations)) {
+      const html = loadPage(ENGINE_FIXTURES, `${name}.html`);
+      expect(BlockPageDetector.detect({ url: registry.get(name).buildUrl(engineExpectations[name].query), html })).toBeNull();
+    }
+  });
+
+  test('robot checks suspend the engine at once, consent pages are retried', () => {
+    const captcha = new BlockPageError('amazon', { kind: 'captcha', signature: 'amazon-robot-check', url: 'https://www.amazon.com/errors/validateCaptcha' });
+    const consent = new BlockPageError('google', { kind: 'consent', signature: 'google-consent', url: 'https://consent.google.com/ml' });
+
+    expect(captcha).toBeInstanceOf(Error);
+    expect(captcha.message).toBe('amazon served a captcha page (amazon-robot-check)');
+    expect(RateLimiter.classifyFailure(captcha)).toBe('captcha');
+    expect(RateLimiter.classifyFailure(consent)).toBeNull();
+  });
+});
@@ -6,6 +6,37 @@ const path = require('path');
 const fs = require('fs-extra');
 const ExcelReader = require('../src/modules/excelReader');
 const Helpers = require('../src/utils/helpers');
+const NameNormalizer = require('../src/utils/nameNormalizer');
+const QualityAnalyzer = require('../src/modules/qualityAnalyzer');
+const DownloadManager = require('../src/modules/downloadManager');
+const BackgroundWhitener = require('../src/modules/backgroundWhitener');
+const CheckpointJournal = require('../src/modules/checkpointJournal');
+const QueryStrategy = require('../src/modules/queryStrategy');
+const InputValidator = require('../src/modules/inputValidator');
+const FileManager = require('../src/modules/fileManager');
+const InputSource = require('../src/modules/inputSource');
+const EngineRegistry = require('../src/modules/engineRegistry');
+const SearchCache = require('../src/modules/searchCache');
+const RateLimiter = require('../src/modules/rateLimiter');
+const sharp = require('sharp');
+
+// pixelmatch is ESM-only and jest loads CommonJS; ImageSearch only needs it for image comparison
+jest.mock('pixelmatch', () => jest.fn());
+const ImageSearch = require('../src/modules/imageSearch');
+const ProductImageDownloader = require('../src/main');
+
+/**
+ * Minimal puppeteer page serving saved HTML, for driving ImageSearch without a browser
+ */
+const createFakePage = (html, url) => ({
+  setUserAgent: async () => {},
+  goto: async () => ({ status: () => 200, headers: () => ({}) }),
+  waitForSelector: async () => { throw new Error('Waiting for selector failed'); },
+  content: async () => html,
+  title: async () => '',
+  url: () => url,
+  close: async () => {}
+});
 
 describe('Product Image Search & Download System', () => {
   
@@ -29,6 +60,30 @@ describe('Product Image Search & Download System', () => {
       expect(queries[0]).toContain('HARRIS');
     });
 
+    test('generateSearchQueries should search identifiers before the name', () => {
+      const queries = Helpers.generateSearchQueries({
+        itemid: '123',
+        name: 'Acetylene Cutting Tip 2NX',
+        brand: 'HARRIS',
+        mpn: '6290-2NX',
+        upc: '012345678905'
+      });
+
+      expect(queries[0]).toBe('"HARRIS" "6290-2NX"');
+      expect(queries[1]).toBe('"012345678905"');
+      expect(queries).toContain('"Acetylene Cutting Tip 2NX" "HARRIS"');
+    });
+
+    test('generateSearchQueries should keep brand tags and inch marks out of quoted phrases', () => {
+      const queries = Helpers.generateSearchQueries({
+        itemid: '4',
+        name: 'Allen Bolt 1" x 2-1/2" NC (FT)',
+        brand: 'NONE'
+      });
+
+      expect(queries).toEqual(['"Allen Bolt" 1 inch x 2-1/2 inch fully threaded UNC coarse thread']);
+    });
+
     test('isValidUrl should validate URLs correctly', () => {
       expect(Helpers.isValidUrl('https://example.com/image.jpg')).toBe(true);
       expect(Helpers.isValidUrl('http://test.com')).toBe(true);
@@ -47,6 +102,155 @@ describe('Product Image Search & Download System', () => {
       expect(Helpers.isPreferredAspectRatio(2.0)).toBe(false); // Too wide
       expect(Helpers.isPreferredAspectRatio(0.5)).toBe(false); // Too tall
     });
+
+    test('isAllowedInputFormat should accept modern formats from extensions and MIME types', () => {
+      expect(Helpers.isAllowedInputFormat('.webp')).toBe(true);
+      expect(Helpers.isAllowedInputFormat('image/avif')).toBe(true);
+      expect(Helpers.isAllowedInputFormat('image/jpeg; charset=binary')).toBe(true);
+      expect(Helpers.isAllowedInputFormat('.svg')).toBe(false);
+      expect(Helpers.isAllowedInputFormat('text/html')).toBe(false);
+      expect(Helpers.getOutputFormat()).toEqual({ format: 'jpeg', extension: '.jpg' });
+    });
+
+    test('getQualitySettings should apply named profile overrides', () => {
+      const strict = Helpers.getQualitySettings('catalog-strict');
+      const reference = Helpers.getQualitySettings('reference');
+
+      expect(strict.profile).toBe('catalog-strict');
+      expect(strict.requirePureWhiteBackground).toBe(true);
+      expect(reference.profile).toBe('reference');
+      expect(reference.requirePureWhiteBackground).toBe(false);
+      expect(reference.minFileSize).toBeLessThan(strict.minFileSize);
+      expect(() => Helpers.getQualitySettings('no-such-profile')).toThrow(/Unknown quality profile/);
+    });
+
+    test('getQualitySettings should let custom config quality values override the profile', () => {
+      const config = require('../src/config/settings');
+      config.qualityOverrides = { minResolution: [500, 500], allowWatermarks: true };
+      try {
+        const strict = Helpers.getQualitySettings('catalog-strict');
+
+        expect(strict.profile).toBe('catalog-strict');
+        expect(strict.minResolution).toEqual([500, 500]);
+        expect(strict.allowWatermarks).toBe(true);
+        expect(strict.strictSquareOnly).toBe(true);
+        expect(Helpers.getQualitySettings('reference').minResolution).toEqual([500, 500]);
+      } finally {
+        config.qualityOverrides = {};
+      }
+    });
+  });
+
+  describe('NameNormalizer', () => {
+    test('should pull the brand tag and part number out of the name', () => {
+      const normalized = NameNormalizer.normalize('Acetylene Cutting Tip 6290-2 (HARRIS)', 'NONE');
+
+      expect(normalized.brand).toBe('HARRIS');
+      expect(normalized.coreName).toBe('Acetylene Cutting Tip 6290-2');
+      expect(normalized.partNumbers).toEqual(['6290-2']);
+    });
+
+    test('should detect sizes, packaging and descriptors', () => {
+      const bolt = NameNormalizer.normalize('Hexagonal Bolt 5/8" x 1-1/4" NF (HT)', 'NONE');
+      expect(bolt.baseName).toBe('Hexagonal Bolt');
+      expect(bolt.sizes).toEqual(['5/8" x 1-1/4"']);
+      expect(bolt.qualifiers).toEqual(['half threaded', 'UNF fine thread']);
+
+      const rod = NameNormalizer.normalize('NSS-308 Stainless 3.2 x 254 mm (1/8" x 10") [1 kg/pack] (NIHON)', 'Nihon');
+      expect(rod.brandTags).toEqual(['NIHON']);
+      expect(rod.sizes).toEqual(['3.2 x 254 mm', '1/8" x 10"']);
+      expect(rod.packaging).toEqual(['1 kg/pack']);
+      expect(rod.coreName).toBe('NSS-308 Stainless');
+
+      const seal = NameNormalizer.normalize('Oil Seal 417171 (NATIONAL)', 'National');
+      expect(seal.sizes).toEqual([]);
+      expect(seal.partNumbers).toEqual(['417171']);
+    });
+
+    test('should only expand upper-case bare abbreviations', () => {
+      const hose = NameNormalizer.normalize('Hose 10 ft', 'NONE');
+      expect(hose.qualifiers).toEqual([]);
+      expect(hose.searchName).toBe('Hose 10 ft');
+
+      const tip = NameNormalizer.normalize('Tip St Ss 3 (ft)', 'NONE');
+      expect(tip.baseName).toBe('Tip St Ss 3');
+      expect(tip.qualifiers).toEqual(['fully threaded']);
+
+      const wheel = NameNormalizer.normalize('Cut-off Wheel 105 x 1 x 16 mm SS', 'NONE');
+      expect(wheel.qualifiers).toEqual(['stainless steel']);
+    });
+  });
+
+  describe('QueryStrategy', () => {
+    const templates = {
+      default: ['"{name}" "{brand?}"'],
+      google: ['"{brand?}" "{partNumber}"', '"{name}" {size?}'],
+      marketplace: ['{brand} {type} {size?}'],
+      amazon: 'marketplace'
+    };
+
+    test('should skip templates with empty required placeholders and drop empty quotes', () => {
+      const strategy = new QueryStrategy(templates);
+      const bolt = { itemid: '4', name: 'Allen Bolt 1" x 2-1/2" NC (FT)', brand: 'NONE' };
+
+      expect(strategy.buildQueries(bolt, 'google')).toEqual([
+        { template: '"{name}" {size?}', query: '"Allen Bolt" 1 inch x 2-1/2 inch' }
+      ]);
+      expect(strategy.buildQueries(bolt, 'amazon')).toEqual([]);
+      expect(strategy.buildQueries(bolt, 'bing')).toEqual([
+        { template: '"{name}" "{brand?}"', query: '"Allen Bolt"' }
+      ]);
+    });
+
+    test('buildPlan should interleave engines by template rank', () => {
+      const strategy = new QueryStrategy(templates);
+      const tip = { itemid: '2', name: 'Acetylene Cutting Tip 6290-2 (HARRIS)', brand: 'Harris' };
+
+      expect(strategy.buildPlan(tip, ['google', 'amazon']).map(step => [step.rank, step.engine, step.query])).toEqual([
+        [1, 'google', '"Harris" "6290-2"'],
+        [1, 'amazon', 'Harris cutting tip'],
+        [2, 'google', '"Acetylene Cutting Tip 6290-2"']
+      ]);
+    });
+
+    test('should reject unknown placeholders', () => {
+      expect(() => new QueryStrategy({ default: ['{brand} {colour}'] })).toThrow(/Unknown placeholder \{colour\}/);
+    });
+  });
+
+  describe('EngineRegistry', () => {
+    test('should register the built-in engines and validate engine lists against them', () => {
+      const registry = new EngineRegistry();
+
+      expect(registry.list()).toEqual(expect.arrayContaining(['google', 'bing', 'amazon', 'shopee', 'lazada', 'ebay', 'shopping', 'hardware']));
+      expect(registry.get('Hardware').engines).toEqual(['mrdiy', 'acehardware', 'homedepot']);
+      expect(registry.validateEngineList(['Amazon', 'hardware'])).toEqual(['amazon', 'hardware']);
+      expect(() => registry.validateEngineList(['bing', 'altavista'], '--engines')).toThrow(/Unknown search engine\(s\) in --engines: altavista/);
+      expect(() => registry.validateEngineList([])).toThrow(/at least one/);
+    });
+
+    test('should accept custom engines and reject incomplete definitions', () => {
+      const registry = new EngineRegistry();
+      registry.register({ name: 'Intranet', transport: 'http', region: 'internal', buildUrl: q => `http://pim.local/?q=${q}`, extract: () => [] });
+
+      expect(registry.describe(['intranet', 'bing'])).toEqual([
+        { name: 'intranet', label: 'Intranet', transport: 'http', region: 'internal', engines: null },
+        { name: 'bing', label: 'Bing', transport: 'http', region: 'global', engines: null }
+      ]);
+      expect(() => registry.register({ name: 'bing', transport: 'http', buildUrl: () => '', extract: () => [] })).toThrow(/already registered/);
+      expect(() => registry.register({ name: 'ftp', transport: 'ftp' })).toThrow(/unknown transport/);
+      expect(() => registry.register({ name: 'local', transport: 'browser', buildUrl: () => '' })).toThrow(/extract/);
+      expect(() => registry.register({ name: 'mix', transport: 'group', engines: ['bing', 'yahoo'] })).toThrow(/unknown: yahoo/);
+    });
+
+    test('bing engine should extract full-size URLs from result metadata', () => {
+      const cheerio = require('cheerio');
+      const bing = require('../src/engines/bing');
+      const html = `<a class="iusc" m='{"murl":"https://cdn.example.com/drill.jpg"}'></a><a class="iusc" m="not json"></a>`;
+
+      expect(bing.buildUrl('drill bit')).toContain('q=drill%20bit');
+      expect(bing.extract(cheerio.load(html))).toEqual(['https://cdn.example.com/drill.jpg']);
+    });
   });
 
   describe('ExcelReader', () => {
@@ -63,6 +267,126 @@ describe('Product Image Search & Download System', () => {
       await expect(reader.readFile()).rejects.toThrow();
     });
 
+    test('should read the bundled ITM.csv with its Item Name header', async () => {
+      const reader = new ExcelReader(path.join(__dirname, '..', 'data', 'ITM.csv'));
+      const products = await reader.readFile();
+
+      expect(products.length).toBeGreaterThan(0);
+      expect(products[0].itemid).toBe('1');
+      expect(products[0].name).toContain('Acetylene Cutting Tip');
+    });
+
+    test('validateAndMapColumns should honour explicit mapping and suggest close headers', () => {
+      const config = require('../src/config/settings');
+      const reader = new ExcelReader('unused.csv');
+      const headers = ['SKU Code', 'Prodct Nme', 'Brnad'];
+
+      expect(() => reader.validateAndMapColumns(headers)).toThrow(/Closest headers: 'SKU Code'/);
+
+      config.excel.columnMapping = { itemid: 'sku code', Name: 'Prodct Nme', brand: 'Brnad' };
+      try {
+        expect(reader.validateAndMapColumns(headers)).toEqual({ 'Item ID': 0, 'Name': 1, 'Brand': 2 });
+      } finally {
+        config.excel.columnMapping = {};
+      }
+    });
+
+    test('should match Profile names in any case and keep unknown ones for validation', async () => {
+      const csvPath = path.join(__dirname, 'tmp-profiles.csv');
+      await fs.writeFile(csvPath, 'Item ID,Name,Brand,Profile\n1,Cutting Tip,HARRIS,Catalog-Strict\n2,Welding Rod,NONE,MARKETPLACE\n3,Oil Seal,NONE,premium\n');
+      try {
+        const products = await new ExcelReader(csvPath).readFile();
+        const validation = new InputValidator({ HARRIS: {} }).validate(products);
+
+        expect(products.map(p => [p.qualityProfile, p.unknownQualityProfile])).toEqual([
+          ['catalog-strict', undefined],
+          ['marketplace', undefined],
+          [undefined, 'premium']
+        ]);
+        expect(Helpers.getQualitySettings('MARKETPLACE').profile).toBe('marketplace');
+        expect(validation.errors).toBe(1);
+        expect(validation.issues[0]).toMatchObject({ severity: 'error', check: 'unknownProfile', itemId: '3' });
+        expect(validation.issues[0].message).toContain("'premium'");
+      } finally {
+        await fs.remove(csvPath);
+      }
+    });
+
+    test('should read optional part number and barcode columns', async () => {
+      const csvPath = path.join(__dirname, 'tmp-attributes.csv');
+      await fs.writeFile(csvPath, 'Item ID,Name,Brand,Part Number,Barcode\n1,Cutting Tip,HARRIS,6290-2NX,0123-4567-8905\n2,Welding Rod,Lincoln,,12345\n');
+      try {
+        const products = await new ExcelReader(csvPath).readFile();
+
+        expect(products[0].mpn).toBe('6290-2NX');
+        expect(products[0].ean).toBe('012345678905');
+        expect(products[1].mpn).toBeFalsy();
+        expect(products[1].ean).toBeFalsy();
+      } finally {
+        await fs.remove(csvPath);
+      }
+    });
+
+    test('should read sheets by wildcard across a directory and detect item ID collisions', async () => {
+      const XLSX = require('xlsx');
+      const inputDir = path.join(__dirname, 'tmp-inputs');
+      await fs.emptyDir(inputDir);
+      try {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Item ID', 'Name', 'Brand'], ['A1', 'Drill Bit 5mm', 'Dormer']]), 'Supplier Dormer');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes'], ['Prices exclude VAT']]), 'Notes');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['SKU', 'Item Name', 'Brand'], ['B1', 'Oil Seal 2374', 'National']]), 'Supplier National');
+        XLSX.writeFile(workbook, path.join(inputDir, 'week-01.xlsx'));
+        await fs.writeFile(path.join(inputDir, 'week-02.csv'), 'Item ID,Name,Brand\nA1,Drill Bit 6mm,Dormer\n');
+        await fs.writeFile(path.join(inputDir, 'readme.txt'), 'not an input');
+
+        const files = await ExcelReader.resolveInputFiles(inputDir);
+        expect(files.map(file => path.basename(file))).toEqual(['week-01.xlsx', 'week-02.csv']);
+        expect(await ExcelReader.resolveInputFiles(path.join(inputDir, '*.csv'))).toEqual([files[1]]);
+
+        const first = await new ExcelReader(files[0], { sheets: ['Supplier *'] }).readFile();
+        expect(first.map(p => [p.itemid, p.sourceSheet])).toEqual([['A1', 'Supplier Dormer'], ['B1', 'Supplier National']]);
+        await expect(new ExcelReader(files[0], { sheets: ['Notes'] }).readFile()).rejects.toThrow(/Required column/);
+
+        const second = await new ExcelReader(files[1], { sheets: ['*'] }).readFile();
+        const { products, collisions } = ExcelReader.resolveIdCollisions([...first, ...second], 'skip');
+        expect(products.map(p => p.name)).toEqual(['Drill Bit 5mm', 'Oil Seal 2374']);
+        expect(collisions).toEqual([{
+          itemId: 'A1',
+          sources: [
+            { file: 'week-01.xlsx', sheet: 'Supplier Dormer', row: 2 },
+            { file: 'week-02.csv', sheet: 'Sheet1', row: 2 }
+          ]
+        }]);
+        expect(() => ExcelReader.resolveIdCollisions([...first, ...second], 'error')).toThrow(/A1 \(week-01.xlsx/);
+      } finally {
+        await fs.remove(inputDir);
+      }
+    });
+
+    test('should read JSON and NDJSON records like spreadsheet rows', async () => {
+      const jsonPath = path.join(__dirname, 'tmp-products.json');
+      const ndjsonPath = path.join(__dirname, 'tmp-products.ndjson');
+      await fs.writeJson(jsonPath, { exportedAt: '2024-01-01', items: [{ SKU: 'A1', 'Item Name': 'Drill Bit 5mm', Brand: 'Dormer', 'Part Number': 'A002' }] });
+      await fs.writeFile(ndjsonPath, '{"Item ID":"B1","Name":"Oil Seal 2374","Brand":"National"}\n\n{"Item ID":"","Name":"Chalk","Brand":"NONE"}\n{"Item ID":7,"Name":"Bearing 6212","Brand":"Koyo","tags":["bearing"]}\n');
+      try {
+        const json = await new ExcelReader(jsonPath).readFile();
+        expect(json.map(p => [p.itemid, p.name, p.brand, p.mpn, p.sourceSheet, p.rowNumber])).toEqual([['A1', 'Drill Bit 5mm', 'Dormer', 'A002', 'items', 2]]);
+
+        const reader = new ExcelReader(ndjsonPath);
+        const ndjson = await reader.readFile();
+        expect(ndjson.map(p => [p.itemid, p.rowNumber])).toEqual([['B1', 2], ['7', 5]]);
+        expect(reader.skippedRows.map(row => [row.rowNumber, row.reason])).toEqual([[4, 'Missing Item ID']]);
+
+        expect(() => InputSource.parseNdjson('{"a":1}\n{oops}', 'pipe')).toThrow(/line 2 of pipe/);
+        expect(() => InputSource.parseJson('{"count": 2}', 'export.json')).toThrow(/No array of product records/);
+        expect(await ExcelReader.resolveInputFiles('-')).toEqual(['-']);
+      } finally {
+        await fs.remove(jsonPath);
+        await fs.remove(ndjsonPath);
+      }
+    });
+
     test('should handle empty file gracefully', async () => {
       // This would require creating an actual empty Excel file for testing
       // For now, just test the error handling logic
@@ -70,6 +394,530 @@ describe('Product Image Search & Download System', () => {
     });
   });
 
+  describe('InputValidator', () => {
+    test('should report skipped rows, duplicate IDs and clashing folders as errors', () => {
+      const products = [
+        { itemid: 'A/1', name: 'Drill Bit 5mm', brand: 'HARRIS', rowNumber: 2 },
+        { itemid: 'a:1', name: 'Drill Bit 6mm', brand: 'NONE', rowNumber: 3 },
+        { itemid: 'B2', name: 'Oil Seal 2374', brand: '', rowNumber: 4 },
+        { itemid: 'C3', name: 'Bearing 6212', brand: 'Koyo', rowNumber: 5 }
+      ];
+      const validation = new InputValidator({ HARRIS: {} }).validate(products, {
+        skippedRows: [{ rowNumber: 6, itemid: '', name: 'Chalk', reason: 'Missing Item ID' }],
+        idCollisions: [{ itemId: 'C3', sources: [{ file: 'a.csv', sheet: 'Sheet1', row: 5 }, { file: 'b.csv', sheet: 'Sheet1', row: 2 }] }]
+      });
+
+      expect(validation.errors).toBe(3);
+      expect(validation.issues.map(issue => [issue.severity, issue.check, issue.itemId])).toEqual([
+        ['error', 'skippedRow', ''],
+        ['error', 'duplicateId', 'C3'],
+        ['error', 'folderCollision', 'a:1'],
+        ['warning', 'unsafeFolderName', 'A/1'],
+        ['warning', 'unsafeFolderName', 'a:1'],
+        ['warning', 'emptyBrand', 'B2'],
+        ['warning', 'noBrandWebsite', 'C3']
+      ]);
+    });
+  });
+
+  describe('QualityAnalyzer', () => {
+    const createProductImage = (background) => sharp({
+      create: { width: 900, height: 900, channels: 3, background }
+    })
+      .composite([{
+        input: { create: { width: 400, height: 400, channels: 3, background: '#c03020' } },
+        left: 250,
+        top: 250
+      }])
+      .jpeg()
+      .toBuffer();
+
+    test('analyzeStrictBackground should accept a white border', async () => {
+      const analyzer = new QualityAnalyzer();
+      const result = await analyzer.analyzeStrictBackground(await createProductImage('#ffffff'));
+
+      expect(result.isPureWhite).toBe(true);
+      expect(result.whitePixelRatio).toBeGreaterThan(0.95);
+      expect(result.dominantColor.hex).toBe('#ffffff');
+    });
+
+    test('analyzeStrictBackground should reject a grey border', async () => {
+      const analyzer = new QualityAnalyzer();
+      const result = await analyzer.analyzeStrictBackground(await createProductImage('#b0b0b0'));
+
+      expect(result.isPureWhite).toBe(false);
+      expect(result.whitePixelRatio).toBeLessThan(0.1);
+      expect(result.dominantColor.hex).toBe('#b0b0b0');
+    });
+
+    test('analyzeSharpness should score an upscaled thumbnail below a crisp image', async () => {
+      const analyzer = new QualityAnalyzer();
+      const crisp = await createProductImage('#ffffff');
+      const thumbnail = await sharp(crisp).resize(120, 120).toBuffer();
+      const upscaled = await sharp(thumbnail).resize(900, 900).jpeg().toBuffer();
+
+      const crispResult = await analyzer.analyzeSharpness(crisp);
+      const upscaledResult = await analyzer.analyzeSharpness(upscaled);
+
+      expect(upscaledResult.variance).toBeLessThan(crispResult.variance);
+      expect(upscaledResult.sharpness).toBeLessThan(0.5);
+    });
+
+    test('analyzeWatermarks should locate corner text but ignore a clean product', async () => {
+      const analyzer = new QualityAnalyzer();
+      const render = (body) => sharp(Buffer.from(
+        `<svg width="900" height="900"><rect width="900" height="900" fill="#fff"/>` +
+        `<rect x="250" y="250" width="400" height="400" fill="#c03020"/>${body}</svg>`
+      )).jpeg().toBuffer();
+
+      const clean = await analyzer.analyzeWatermarks(await render(''));
+      const marked = await analyzer.analyzeWatermarks(await render(
+        '<text x="620" y="870" font-size="36" font-family="sans-serif" fill="#333">© myshop.com</text>'
+      ));
+
+      expect(clean.hasWatermark).toBe(false);
+      expect(marked.hasWatermark).toBe(true);
+      expect(marked.region.zone).toBe('bottom-right');
+    });
+
+    test('analyzeContent should flag blank tiles and match library placeholders after padding', async () => {
+      const config = require('../src/config/settings');
+      const analyzer = new QualityAnalyzer();
+      const blank = await sharp({
+        create: { width: 800, height: 800, channels: 3, background: '#d8d8d8' }
+      }).jpeg().toBuffer();
+      const placeholder = await sharp(Buffer.from(
+        '<svg xmlns="http://www.w3.org/2000/svg" width="600" height="400">' +
+        '<rect width="600" height="400" fill="#eeeeee"/>' +
+        '<rect x="200" y="100" width="200" height="160" fill="none" stroke="#aaaaaa" stroke-width="12"/>' +
+        '</svg>'
+      )).png().toBuffer();
+      const padded = await sharp(placeholder)
+        .resize(1000, 1000, { fit: 'contain', background: '#ffffff' })
+        .jpeg()
+        .toBuffer();
+
+      analyzer.placeholderLibrary = [{ name: 'no-image.png', hash: await analyzer.computePerceptualHash(placeholder) }];
+
+      expect((await analyzer.analyzeContent(blank)).isBlank).toBe(true);
+      const content = await analyzer.analyzeContent(padded);
+      expect(content.colorEntropy).toBeLessThan(config.quality.minColorEntropy);
+      expect(content.isLowEntropy).toBe(true);
+      expect(content.placeholderMatch.name).toBe('no-image.png');
+      expect((await analyzer.analyzeContent(await createProductImage('#ffffff'))).placeholderMatch).toBeNull();
+    });
+
+    test('analyzeContent should accept a flat single-colour product on white', async () => {
+      const config = require('../src/config/settings');
+      const analyzer = new QualityAnalyzer();
+      const flatProduct = (colour) => sharp({
+        create: { width: 900, height: 900, channels: 3, background: '#ffffff' }
+      })
+        .composite([{
+          input: { create: { width: 450, height: 450, channels: 3, background: colour } },
+          left: 225,
+          top: 225
+        }])
+        .png()
+        .toBuffer();
+
+      for (const colour of ['#101010', '#808080']) {
+        const content = await analyzer.analyzeContent(await flatProduct(colour));
+        expect(content.colorEntropy).toBeLessThan(config.quality.minColorEntropy);
+        expect(content.isBlank).toBe(false);
+        expect(content.isLowEntropy).toBe(false);
+      }
+    });
+  });
+
+  describe('BackgroundWhitener', () => {
+    test('whiten should turn a grey backdrop white but keep a light grey product', async () => {
+      const greyShot = await sharp({
+        create: { width: 600, height: 600, channels: 3, background: '#e0e0e0' }
+      })
+        .composite([{
+          // Darker than the backdrop by more than one gradient step, so it is a product edge
+          input: { create: { width: 200, height: 200, channels: 3, background: '#c8c8c8' } },
+          left: 200,
+          top: 200
+        }])
+        .png()
+        .toBuffer();
+
+      const result = await new BackgroundWhitener().whiten(greyShot);
+      const { data, info } = await sharp(result.buffer).raw().toBuffer({ resolveWithObject: true });
+      const pixel = (x, y) => data[(y * info.width + x) * info.channels];
+
+      expect(result.changed).toBe(true);
+      expect(pixel(10, 10)).toBeGreaterThan(250);
+      expect(pixel(300, 300)).toBeLessThan(215);
+    });
+  });
+
+  describe('DownloadManager', () => {
+    test('normalizeToSquare should pad a wide image without cropping the product', async () => {
+      const manager = new DownloadManager();
+      const wide = await sharp({
+        create: { width: 1000, height: 400, channels: 3, background: '#ffffff' }
+      })
+        .composite([{
+          input: { create: { width: 980, height: 100, channels: 3, background: '#404040' } },
+          left: 10,
+          top: 150
+        }])
+        .jpeg()
+        .toBuffer();
+
+      const normalized = await manager.normalizeToSquare(wide, await sharp(wide).metadata());
+      const meta = await sharp(normalized.buffer).metadata();
+
+      expect(normalized.mode).toBe('pad');
+      expect(meta.width).toBe(meta.height);
+      // The bar spans almost the full width, so a crop would cut its ends off
+      const { data, info } = await sharp(normalized.buffer).raw().toBuffer({ resolveWithObject: true });
+      const midRow = Math.floor(info.height / 2) * info.width * info.channels;
+      const leftEdge = data[midRow + Math.round(info.width * 0.06) * info.channels];
+      expect(leftEdge).toBeLessThan(128);
+    });
+
+    test('writeRenditions should write each configured size next to the master', async () => {
+      const manager = new DownloadManager();
+      const outputDir = path.join(__dirname, 'tmp-renditions');
+      await fs.ensureDir(outputDir);
+      const master = await sharp({
+        create: { width: 1200, height: 1200, channels: 3, background: '#ffffff' }
+      }).jpeg().toBuffer();
+
+      try {
+        const renditions = await manager.writeRenditions(master, outputDir, '1_1_abcd1234.jpg');
+
+        expect(renditions.map(r => r.fileName)).toEqual(['1_1_abcd1234_listing.jpg', '1_1_abcd1234_thumb.jpg']);
+        expect(renditions[1].width).toBe(150);
+        expect(renditions[1].fileSize).toBe((await fs.stat(path.join(outputDir, '1_1_abcd1234_thumb.jpg'))).size);
+      } finally {
+        await fs.remove(outputDir);
+      }
+    });
+  });
+
+  describe('CheckpointJournal', () => {
+    test('should restore finished items when a later session resumes', async () => {
+      const outputDir = path.join(__dirname, 'tmp-checkpoint');
+      await fs.remove(outputDir);
+
+      try {
+        const first = new CheckpointJournal(outputDir);
+        await first.startSession({ input: 'products.xlsx' });
+        const product = { itemid: '7', name: 'Cutting Tip', folderName: '7' };
+        await first.markSearched(product);
+        product.imageMatchingConfidence = 0.5;
+        await first.markDownloaded(product, { itemId: '7', downloaded: 2 });
+        await first.markSearched({ itemid: '8', imageUrls: ['https://example.com/8.jpg'] });
+
+        const resumed = new CheckpointJournal(outputDir);
+        const session = await resumed.startSession({ input: 'products.xlsx' }, true);
+        const restored = { itemid: '7' };
+
+        expect(session.resumed).toBe(true);
+        expect(resumed.isFinished('7')).toBe(true);
+        expect(resumed.isFinished('8')).toBe(false);
+        expect(resumed.restoreProduct(restored)).toEqual({ itemId: '7', downloaded: 2 });
+        expect(restored.imageMatchingConfidence).toBe(0.5);
+        expect(resumed.data.sessions).toHaveLength(2);
+      } finally {
+        await fs.remove(outputDir);
+      }
+    });
+  });
+
+  describe('SearchCache', () => {
+    test('should share entries between spellings of a query and honour the TTL and modes', async () => {
+      const directory = path.join(__dirname, 'tmp-search-cache');
+      await fs.remove(directory);
+
+      try {
+        const cache = new SearchCache({ directory, ttlHours: 1 });
+        await cache.set('bing', 'Cutting  Tip 9-6', 'global', ['https://example.com/tip.jpg']);
+
+        expect((await cache.get('bing', ' cutting tip 9-6', 'global')).urls).toEqual(['https://example.com/tip.jpg']);
+        expect(await cache.get('bing', 'cutting tip 9-6', 'MY')).toBeNull();
+        expect(await cache.get('google', 'cutting tip 9-6', 'global')).toBeNull();
+
+        const entryPath = cache.getEntryPath('bing', 'cutting tip 9-6', 'global');
+        const entry = await fs.readJson(entryPath);
+        entry.cachedAt = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+        await fs.writeJson(entryPath, entry);
+
+        expect(await cache.get('bing', 'cutting tip 9-6', 'global')).toBeNull();
+        expect(cache.getStats()).toEqual({ mode: 'normal', hits: 1, misses: 2, expired: 1, stored: 1 });
+
+        const offline = new SearchCache({ directory, ttlHours: 1, mode: 'only' });
+        expect(await offline.get('bing', 'cutting tip 9-6', 'global')).toMatchObject({ expired: true });
+        await offline.set('bing', 'new query', 'global', ['https://example.com/new.jpg']);
+        expect(await fs.pathExists(offline.getEntryPath('bing', 'new query', 'global'))).toBe(false);
+
+        const refresh = new SearchCache({ directory, ttlHours: 1, mode: 'refresh' });
+        expect(await refresh.get('bing', 'cutting tip 9-6', 'global')).toBeNull();
+        expect(() => new SearchCache({ directory, mode: 'sometimes' })).toThrow(/Unknown search cache mode/);
+      } finally {
+        await fs.remove(directory);
+      }
+    });
+  });
+
+  describe('RateLimiter', () => {
+    test('should space requests to a host and honour Retry-After', async () => {
+      const limiter = new RateLimiter({ requestsPerSecond: 20, burst: 1, hosts: { 'example.com': { requestsPerSecond: 10 } } });
+
+      expect(limiter.getHostLimits('cdn.example.com')).toEqual({ requestsPerSecond: 10, burst: 1 });
+      expect(RateLimiter.parseRetryAfter('3')).toBe(3000);
+      expect(RateLimiter.parseRetryAfter(new Date(Date.now() + 5000).toUTCString())).toBeGreaterThan(3000);
+      expect(RateLimiter.parseRetryAfter('soon')).toBeNull();
+
+      const started = Date.now();
+      await Promise.all([1, 2, 3].map(() => limiter.acquire('images.test')));
+      expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+
+      const tooMany = Object.assign(new Error('Request failed with status code 429'), {
+        response: { status: 429, headers: { 'retry-after': '0.2' } }
+      });
+      await expect(limiter.request('https://images.test/a.jpg', () => Promise.reject(tooMany))).rejects.toBe(tooMany);
+      const paused = Date.now();
+      await limiter.request('https://images.test/b.jpg', async () => 'ok');
+      expect(Date.now() - paused).toBeGreaterThanOrEqual(150);
+    });
+
+    test('should suspend an engine or domain after consecutive failures and report it', async () => {
+      const limiter = new RateLimiter({ breaker: { failureThreshold: 2, cooldownMs: 0 } });
+      const notFound = Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+      const serverError = Object.assign(new Error('Request failed with status code 500'), { response: { status: 500 } });
+
+      for (let i = 0; i < 3; i++) {
+        await expect(limiter.request('https://cdn.test/missing.jpg', () => Promise.reject(notFound))).rejects.toBe(notFound);
+      }
+      expect(limiter.getBreakerReport()).toEqual([]);
+
+      limiter.recordFailure('engine', 'google', 'captcha', 'Robot check');
+      limiter.recordFailure('domain', 'cdn.test', RateLimiter.classifyFailure(serverError));
+      limiter.recordFailure('domain', 'cdn.test', RateLimiter.classifyFailure(serverError));
+      expect(limiter.getBreakerReport().map(b => [b.type, b.name, b.lastReason, b.state])).toEqual([
+        ['engine', 'google', 'captcha', 'open'],
+        ['domain', 'cdn.test', 'server-error', 'open']
+      ]);
+
+      // With the cooldown over, one trial request closes the breaker again
+      expect(limiter.isSuspended('domain', 'cdn.test')).toBe(false);
+      await limiter.request('https://cdn.test/ok.jpg', async () => 'ok');
+      expect(limiter.getBreakerReport()[1]).toMatchObject({ state: 'closed', trips: 1, suspendedUntil: null });
+
+      const suspended = new RateLimiter({ breaker: { failureThreshold: 1, cooldownMs: 60000 } });
+      suspended.recordFailure('domain', 'cdn.test', 'network', 'ETIMEDOUT');
+      await expect(suspended.request('https://cdn.test/a.jpg', async () => 'ok')).rejects.toMatchObject({ rule: 'circuitOpen' });
+    });
+
+    test('should let only one trial request through after the cooldown', async () => {
+      const limiter = new RateLimiter({ enabled: false, breaker: { failureThreshold: 1, cooldownMs: 50 } });
+      const notFound = Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+      limiter.recordFailure('domain', 'cdn.test', 'captcha', 'Robot check');
+      await Helpers.sleep(60);
+
+      const trial = limiter.request('https://cdn.test/a.jpg', () => Helpers.sleep(20).then(() => Promise.reject(notFound)));
+      const second = limiter.request('https://cdn.test/b.jpg', async () => 'ok');
+
+      await expect(second).rejects.toMatchObject({ rule: 'circuitOpen' });
+      await expect(trial).rejects.toBe(notFound);
+      // A 404 says nothing about the host: the next caller becomes the trial and closes the breaker
+      await expect(limiter.request('https://cdn.test/c.jpg', async () => 'ok')).resolves.toBe('ok');
+      expect(limiter.isSuspended('domain', 'cdn.test')).toBe(false);
+      expect(limiter.getBreakerReport()[0]).toMatchObject({ state: 'closed', trips: 1 });
+    });
+  });
+
+  describe('ImageSearch', () => {
+    test('repeated searches without results should not trip the engine breaker', async () => {
+      const imageSearch = new ImageSearch();
+      const emptyPage = fs.readFileSync(path.join(__dirname, 'fixtures', 'engines', 'empty-results.html'), 'utf8');
+      imageSearch.limiter = new RateLimiter({ enabled: false, breaker: { failureThreshold: 2, cooldownMs: 60000 } });
+      imageSearch.searchCache = new SearchCache({ enabled: false });
+      imageSearch.browser = { newPage: async () => createFakePage(emptyPage, 'https://www.amazon.com/s?k=hose') };
+
+      for (let i = 0; i < 4; i++) {
+        expect(await imageSearch.searchByEngineWithRetry('amazon', `hose ${i}`, '1')).toEqual([]);
+      }
+      expect(imageSearch.limiter.isOpen('engine', 'amazon')).toBe(false);
+      expect(imageSearch.limiter.getBreakerReport()).toEqual([]);
+    });
+
+    test('cache-only runs should reuse brand website results without opening the site', async () => {
+      const directory = path.join(__dirname, 'tmp-brand-cache');
+      await fs.remove(directory);
+      const product = { itemid: '7', name: 'Cutting Tip 2NX', brand: 'Harris', mpn: '6290-2NX' };
+      const brandUrls = ['https://www.harriswelding.com/media/catalog/product/6290-2nx-main.jpg'];
+
+      try {
+        const online = new ImageSearch();
+        online.searchCache = new SearchCache({ directory });
+        online.brandScraper.searchBrandWebsite = jest.fn(async () => brandUrls);
+        expect(await online.searchBrandWebsiteCached(product)).toEqual(brandUrls);
+
+        const offline = new ImageSearch();
+        offline.searchCache = new SearchCache({ directory, mode: 'only' });
+        offline.brandScraper.searchBrandWebsite = jest.fn(async () => []);
+        offline.searchByEngine = jest.fn(async () => []);
+
+        expect(await offline.searchImages({ ...product })).toEqual(brandUrls);
+        expect(await offline.searchImages({ ...product, itemid: '8', mpn: '6290-3NX' })).toEqual([]);
+        expect(offline.brandScraper.searchBrandWebsite).not.toHaveBeenCalled();
+        expect(offline.searchByEngine).not.toHaveBeenCalled();
+        expect(offline.browser).toBeNull();
+      } finally {
+        await fs.remove(directory);
+      }
+    });
+  });
+
+  describe('FileManager', () => {
+    test('generateAnnotatedInput should add result columns to a copy of the input workbook', async () => {
+      const XLSX = require('xlsx');
+      const workDir = path.join(__dirname, 'tmp-annotate');
+      await fs.emptyDir(workDir);
+      try {
+        const inputPath = path.join(workDir, 'master.xlsx');
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Notes'], ['Prices exclude VAT']]), 'Notes');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+          ['Item ID', 'Name', 'Brand', 'Price'],
+          ['A1', 'Drill Bit 5mm', 'Dormer', 12],
+          [],
+          ['B1', 'Oil Seal 2374', 'National', 3],
+          ['C1', 'Bearing 6212', 'Koyo', 9]
+        ]), 'Products');
+        XLSX.writeFile(workbook, inputPath);
+
+        const products = await new ExcelReader(inputPath, { sheets: ['Products'] }).readFile();
+        products[0].folderName = 'A1';
+        products[1].folderName = 'B1 (NIF)';
+        products[1].isNIF = true;
+        const downloadResults = [{
+          itemId: 'A1',
+          downloaded: 2,
+          averageConfidence: 0.8567,
+          downloadedFiles: ['/elsewhere/A1/A1.jpg', '/elsewhere/A1/A1_2.jpg'],
+          validationResults: [{ filePath: '/elsewhere/A1/A1.jpg', sourceUrl: 'https://www.dormer.com/img/a1.jpg' }]
+        }, { itemId: 'B1', downloaded: 0 }];
+
+        const [annotatedPath] = await new FileManager().generateAnnotatedInput(
+          products.slice(0, 2), downloadResults, [{ file: inputPath, sheets: ['Products'] }], workDir
+        );
+
+        expect(path.basename(annotatedPath)).toBe('master_annotated.xlsx');
+        const annotated = XLSX.readFile(annotatedPath);
+        expect(annotated.SheetNames).toEqual(['Notes', 'Products']);
+        const rows = XLSX.utils.sheet_to_json(annotated.Sheets.Products, { header: 1, defval: '' });
+        expect(rows[0]).toEqual(['Item ID', 'Name', 'Brand', 'Price', 'IMAGE STATUS', 'IMAGE COUNT', 'PRIMARY IMAGE', 'AVG CONFIDENCE', 'SOURCE DOMAIN']);
+        expect(rows[1]).toEqual(['A1', 'Drill Bit 5mm', 'Dormer', 12, 'Image found', 2, 'A1/A1.jpg', 0.86, 'dormer.com']);
+        expect(rows[3]).toEqual(['B1', 'Oil Seal 2374', 'National', 3, 'NIF', 0, '', '', '']);
+        expect(rows[4]).toEqual(['C1', 'Bearing 6212', 'Koyo', 9, '', '', '', '', '']);
+        expect(annotated.Sheets.Products.G2.l.Target).toBe('A1/A1.jpg');
+      } finally {
+        await fs.remove(workDir);
+      }
+    });
+  });
+
+  describe('ProductImageDownloader', () => {
+    const products = [
+      { itemid: '1', name: 'Cutting Tip 6290-2 (HARRIS)', brand: 'Harris' },
+      { itemid: '2', name: 'Oil Seal 417171', brand: 'NONE' },
+      { itemid: '3', name: 'Hexagonal Bolt 5/8" x 1-1/4" NC (FT)', brand: 'NONE' }
+    ];
+
+    test('selectProducts should apply --items and --max-products in input order', () => {
+      const app = new ProductImageDownloader();
+
+      expect(app.selectProducts(products, {}).map(p => p.itemid)).toEqual(['1', '2', '3']);
+      expect(app.selectProducts(products, { maxProducts: 2 }).map(p => p.itemid)).toEqual(['1', '2']);
+      expect(app.selectProducts(products, { items: ['3', '1', '99'] }).map(p => p.itemid)).toEqual(['1', '3']);
+      expect(app.selectProducts(products, { items: ['3', '1'], maxProducts: 1 }).map(p => p.itemid)).toEqual(['1']);
+      expect(() => app.selectProducts(products, { items: ['99'] })).toThrow(/No products selected/);
+    });
+
+    test('generateDryRunReport should list the planned queries, and candidates unless plan-only', async () => {
+      const reportDir = path.join(__dirname, 'tmp-dry-run-report');
+      await fs.ensureDir(reportDir);
+      const entry = {
+        itemId: '2',
+        name: 'Oil Seal 417171',
+        brand: 'NONE',
+        sourceFile: 'items.csv',
+        sourceSheet: 'CSV',
+        qualityProfile: 'catalog-strict',
+        brandWebsite: false,
+        engines: ['bing'],
+        queries: [{ engine: 'bing', template: '"{name}"', query: '"Oil Seal 417171"' }],
+        candidates: [{ url: 'https://img.example.com/seal.jpg', source: 'bing', template: '"{name}"' }],
+        error: null
+      };
+      try {
+        const textPath = await new FileManager().generateDryRunReport([entry], 'dry-run', reportDir);
+        const text = await fs.readFile(textPath, 'utf8');
+        const json = await fs.readJson(textPath.replace(/\.txt$/, '.json'));
+
+        expect(path.dirname(textPath)).toBe(reportDir);
+        expect(text).toContain('[bing] "Oil Seal 417171"');
+        expect(text).toContain('[bing] https://img.example.com/seal.jpg');
+        expect(json).toMatchObject({ mode: 'dry-run', totalProducts: 1, productsWithCandidates: 1 });
+
+        const planText = await fs.readFile(await new FileManager().generateDryRunReport([entry], 'plan-only', reportDir), 'utf8');
+        expect(planText).toContain('Searches were not run');
+        expect(planText).not.toContain('seal.jpg');
+      } finally {
+        await fs.remove(reportDir);
+      }
+    });
+
+    test('a dry run should write its reports to --output without creating folders or downloading', async () => {
+      const workDir = path.join(__dirname, 'tmp-dry-run');
+      const output = path.join(workDir, 'Item Images');
+      const input = path.join(workDir, 'items.csv');
+      await fs.remove(workDir);
+      await fs.outputFile(input, 'Item ID,Name,Brand\n1,Cutting Tip 6290-2 (HARRIS),Harris\n2,Oil Seal 417171,NONE\n3,Grease Gun,NONE\n');
+
+      const app = new ProductImageDownloader();
+      app.imageSearch.searchImages = jest.fn(async (product) => {
+        const url = `https://img.example.com/${product.itemid}.jpg`;
+        product.imageSources = { [url]: 'bing' };
+        return [url];
+      });
+      const download = jest.spyOn(app.downloadManager, 'downloadProductImages');
+      const setup = jest.spyOn(app.fileManager, 'setupFolderStructure');
+      const exit = jest.spyOn(process, 'exit').mockImplementation((code) => {
+        throw new Error(`process.exit(${code})`);
+      });
+      try {
+        await app.run({ input, output, dryRun: true, items: ['2', '3'] });
+
+        const files = await fs.readdir(output);
+        const reportFile = files.find(file => /^dry_run_report_\d+\.json$/.test(file));
+        const report = await fs.readJson(path.join(output, reportFile));
+
+        expect(files.filter(file => fs.statSync(path.join(output, file)).isDirectory())).toEqual([]);
+        expect(files).toContain('input_validation.xlsx');
+        expect(report.products.map(p => [p.itemId, p.candidates.map(c => c.url)])).toEqual([
+          ['2', ['https://img.example.com/2.jpg']],
+          ['3', ['https://img.example.com/3.jpg']]
+        ]);
+        expect(app.imageSearch.searchImages).toHaveBeenCalledTimes(2);
+        expect(download).not.toHaveBeenCalled();
+        expect(setup).not.toHaveBeenCalled();
+        expect(await fs.pathExists(path.join(process.cwd(), reportFile))).toBe(false);
+      } finally {
+        exit.mockRestore();
+        await fs.remove(workDir);
+      }
+    });
+  });
+
   describe('Configuration', () => {
     test('should have all required configuration sections', () => {
       const config = require('../src/config/settings');